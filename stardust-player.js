@@ -7,6 +7,7 @@ import DOMPurify from 'https://cdn.jsdelivr.net/npm/dompurify/dist/purify.es.mjs
  * @param { {
  *     class?: string | string[],
  *     id?: string,
+ *     part?: string,
  *     text?: string,
  *     html?: string,
  *     children?: HTMLElement[]
@@ -19,6 +20,7 @@ function createElement(tagname, options) {
 		if (typeof options.class == 'string') element.className = options.class
 		if (options.class && typeof options.class.join == 'function') element.className = options.class.join(' ')
 		if (options.id) element.id = options.id
+		if (options.part) element.setAttribute('part', options.part)
 		if (options.text) element.textContent = options.text
 		if (options.html) element.innerHTML = options.html
 		if (options.children) element.replaceChildren(...options.children)
@@ -28,256 +30,3979 @@ function createElement(tagname, options) {
 }
 
 function formatTime(time) {
+	if (!Number.isFinite(time)) return '0:00'  // before the metadata has loaded, or a live stream's duration
 	const hours = Math.floor(time / 3600)
 	const minutes = Math.floor((time - hours * 3600) / 60)
 	const seconds = Math.floor(time - hours * 3600 - minutes * 60)
 	return hours ? `${hours}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}` : `${minutes}:${String(seconds).padStart(2, '0')}`
 }
 
-function parseSRT(srt) {
+/**
+ * Formats a time the way a screen reader should read it, like "1 minute 5 seconds"
+ * @param { number } time in seconds
+ * @returns { string }
+ */
+function formatSpokenTime(time) {
+	const hours = Math.floor(time / 3600)
+	const minutes = Math.floor((time - hours * 3600) / 60)
+	const seconds = Math.floor(time - hours * 3600 - minutes * 60)
+	const parts = [ [ hours, 'hour' ], [ minutes, 'minute' ], [ seconds, 'second' ] ]
+		.filter(([ amount ]) => amount)
+		.map(([ amount, unit ]) => `${amount} ${unit}${amount == 1 ? '' : 's'}`)
+	return parts.join(' ') || '0 seconds'
+}
+
+/**
+ * Returns the part of the video that can be seeked to, for live streams that's the DVR window
+ * @param { HTMLMediaElement } video
+ * @param { boolean } live
+ * @returns { { start: number, end: number } } end is NaN while it isn't known
+ */
+function getSeekRange(video, live) {
+	const { duration, seekable } = video
+	if (!live) return { start: 0, end: duration }
+	if (!seekable.length) return { start: 0, end: NaN }
+	return { start: seekable.start(0), end: seekable.end(seekable.length - 1) }
+}
+
+/**
+ * Parses a time from a link, like 90, 90.5, 1m30s, 1h2m, 1:30 or npt:90 (for t=start,end ranges only the start is used)
+ * @param { string } value
+ * @returns { number | null } the time in seconds, or null if it isn't one
+ */
+function parseTimeParameter(value) {
+	const time = value.split(',')[0].replace(/^npt:/, '')
+	if (/^\d+(\.\d+)?$/.test(time)) return parseFloat(time)
+	const units = time.match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+(?:\.\d+)?)s)?$/)
+	if (time && units) return parseInt(units[1] ?? 0) * 3600 + parseInt(units[2] ?? 0) * 60 + parseFloat(units[3] ?? 0)
+	const clock = time.match(/^(?:(\d+):)?(\d+):(\d+(?:\.\d+)?)$/)
+	if (clock) return parseInt(clock[1] ?? 0) * 3600 + parseInt(clock[2]) * 60 + parseFloat(clock[3])
+	return null
+}
+
+/**
+ * Returns the start time from a link's #t= parameter, or its ?t= one when there's none in the fragment
+ * @param { string } url
+ * @returns { number | null }
+ */
+function getLinkStartTime(url) {
+	const { hash, searchParams } = new URL(url)
+	const value = new URLSearchParams(hash.slice(1)).get('t') ?? searchParams.get('t')
+	return value == null ? null : parseTimeParameter(value)
+}
+
+/**
+ * Parses an SRT file, blocks that can't be parsed are skipped
+ * @param { string } srt
+ * @param { (block: string) => void } [onInvalidBlock] called with the text of each skipped block
+ */
+function parseSRT(srt, onInvalidBlock) {
 	const parseSRTTimecode = timecode => {
-		const [ hours, minutes, seconds, milliseconds ] = timecode.split(/:|,/g).map(i => parseInt(i))
-		return hours * 3600 + minutes * 60 + seconds + milliseconds / 1000
+		// some files use a period for the milliseconds or leave out the hours
+		const match = timecode.match(/^(?:(\d+):)?(\d{1,2}):(\d{1,2})[,.](\d{1,3})$/)
+		if (!match) return NaN
+		const [ hours, minutes, seconds ] = match.slice(1, 4).map(i => parseInt(i ?? 0))
+		return hours * 3600 + minutes * 60 + seconds + parseInt(match[4].padEnd(3, '0')) / 1000
 	}
-	const blocks = srt.split('\n\n').filter(i => i).map(block => block.split('\n').map(line => line.trim()))
+	const blocks = srt.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split(/\n\s*\n/).filter(i => i.trim()).map(block => block.trim().split('\n').map(line => line.trim()))
 	
 	const subtitles = []
 	for (const block of blocks) {
-		const [ start, end ] = block[1].split('-->').map(i => parseSRTTimecode(i.trim()))
-		const text = block[2]
+		// the index line is optional
+		const timingLineIndex = block.findIndex(line => line.includes('-->'))
+		// only the first thing after the arrow is the end, some files have display coordinates (X1:10 X2:20 ...) after it
+		const [ start, end ] = timingLineIndex >= 0 && timingLineIndex <= 1 ? block[timingLineIndex].split('-->').map(i => parseSRTTimecode(i.trim().split(/\s+/)[0])) : []
+		if (isNaN(start) || isNaN(end)) {
+			onInvalidBlock?.(block.join('\n'))
+			continue
+		}
+		const text = block.slice(timingLineIndex + 1).join('\n')
 		subtitles.push({ start, end, text })
 	}
 
 	return subtitles
 }
 
+/**
+ * Parses a WebVTT file, cues that can't be parsed are skipped
+ * @param { string } vtt
+ * @param { (block: string) => void } [onInvalidBlock] called with the text of each skipped cue
+ */
+function parseVTT(vtt, onInvalidBlock) {
+	const parseVTTTimecode = timecode => {
+		const match = timecode.match(/^(?:(\d+):)?(\d{2}):(\d{2})\.(\d{3})$/)
+		if (!match) return NaN
+		const [ hours, minutes, seconds, milliseconds ] = match.slice(1).map(i => parseInt(i ?? 0))
+		return hours * 3600 + minutes * 60 + seconds + milliseconds / 1000
+	}
+	const blocks = vtt.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split(/\n{2,}/).map(block => block.split('\n'))
+
+	const cues = []
+	const styles = []
+	// the first block is the WEBVTT header (files detected by their extension might not have one)
+	for (const block of blocks[0][0].startsWith('WEBVTT') ? blocks.slice(1) : blocks) {
+		if (block[0].startsWith('NOTE') || block[0].startsWith('REGION')) continue
+		if (block[0].startsWith('STYLE')) {
+			styles.push(block.slice(1).join('\n'))
+			continue
+		}
+
+		const timingLineIndex = block.findIndex(line => line.includes('-->'))
+		const match = timingLineIndex >= 0 && timingLineIndex <= 1 ? block[timingLineIndex].trim().match(/^(\S+)\s+-->\s+(\S+)(.*)$/) : null
+		const start = match ? parseVTTTimecode(match[1]) : NaN
+		const end = match ? parseVTTTimecode(match[2]) : NaN
+		if (isNaN(start) || isNaN(end)) {
+			if (block.join('').trim()) onInvalidBlock?.(block.join('\n'))
+			continue
+		}
+
+		const settings = {}
+		for (const setting of match[3].trim().split(/\s+/)) {
+			const [ key, value ] = setting.split(':')
+			if (key && value) settings[key] = value
+		}
+
+		cues.push({
+			id: timingLineIndex ? block[0] : undefined,
+			start,
+			end,
+			text: block.slice(timingLineIndex + 1).join('\n'),
+			settings,
+		})
+	}
+
+	return { cues, styles }
+}
+
+/**
+ * Builds the DOM for a WebVTT cue's text, mapping its tags (`<c.class>`, `<v Name>`, `<i>`, etc.) to elements
+ * @param { string } text
+ * @returns { DocumentFragment }
+ */
+function renderVTTCueText(text) {
+	const entities = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&lrm;': '\u200E', '&rlm;': '\u200F', '&nbsp;': '\u00A0' }
+	const decodeEntities = string => string.replace(/&(amp|lt|gt|lrm|rlm|nbsp);/g, entity => entities[entity])
+
+	const fragment = document.createDocumentFragment()
+	const stack = [ fragment ]
+	for (const token of text.split(/(<[^>]*>)/g).filter(i => i)) {
+		const parent = stack[stack.length - 1]
+		if (!token.startsWith('<')) {
+			parent.append(decodeEntities(token))
+			continue
+		}
+		if (token.startsWith('</')) {
+			const tagname = token.slice(2, -1).trim()
+			if (stack.length > 1 && parent.localName == tagname) stack.pop()
+			continue
+		}
+		// karaoke-style timestamps aren't supported, they're dropped
+		const match = token.slice(1, -1).match(/^([a-z]+)((?:\.[\w-]+)*)(?:\s+(.*))?$/)
+		if (!match || !['c', 'i', 'b', 'u', 'ruby', 'rt', 'v', 'lang'].includes(match[1])) continue
+		const [ , tagname, classes, annotation ] = match
+		const element = createElement(tagname, { class: classes.split('.').filter(i => i) })
+		if (tagname == 'v' && annotation) {
+			element.setAttribute('voice', decodeEntities(annotation))
+			element.title = decodeEntities(annotation)
+		}
+		if (tagname == 'lang' && annotation) element.lang = annotation
+		parent.append(element)
+		stack.push(element)
+	}
+
+	return fragment
+}
+
+/**
+ * Converts a WebVTT cue's settings (line, position, size, align, vertical) to inline styles
+ * @param { Record<string, string> } settings
+ * @returns { Partial<CSSStyleDeclaration> }
+ */
+function getVTTCueStyle(settings) {
+	const style = {}
+	const vertical = settings.vertical == 'rl' || settings.vertical == 'lr'
+	if (vertical) style.writingMode = settings.vertical == 'rl' ? 'vertical-rl' : 'vertical-lr'
+
+	const align = settings.align ?? 'center'
+	style.textAlign = align
+
+	// Position (along the line)
+	const [ positionValue, positionAlignValue ] = (settings.position ?? '').split(',')
+	const size = parseFloat(settings.size ?? 100)
+	const position = positionValue && positionValue != 'auto' ? parseFloat(positionValue) : { start: 0, left: 0, center: 50, end: 100, right: 100 }[align] ?? 50
+	const positionAlign = positionAlignValue && positionAlignValue != 'auto' ? positionAlignValue : { start: 'line-left', left: 'line-left', end: 'line-right', right: 'line-right' }[align] ?? 'center'
+	const offset = clamp(0, position - (positionAlign == 'center' ? size / 2 : positionAlign == 'line-right' ? size : 0), 100 - size)
+	style[vertical ? 'top' : 'left'] = `${offset}%`
+	style[vertical ? 'height' : 'width'] = `${size}%`
+
+	// Line (across the line)
+	const [ lineValue, lineAlign ] = (settings.line ?? 'auto').split(',')
+	const [ lineStart, lineEnd ] = vertical ? (settings.vertical == 'rl' ? [ 'right', 'left' ] : [ 'left', 'right' ]) : [ 'top', 'bottom' ]
+	if (lineValue.endsWith('%')) {
+		style[lineStart] = lineValue
+		const shift = { center: 50, end: 100 }[lineAlign] ?? 0
+		style.translate = vertical ? `${settings.vertical == 'rl' ? shift : -shift}% 0` : `0 ${-shift}%`
+	} else if (lineValue != 'auto') {
+		const line = parseInt(lineValue)
+		if (line >= 0) style[lineStart] = `calc(${line} * 1.2em)`
+		else style[lineEnd] = `calc(${-line - 1} * 1.2em)`
+	} else {
+		style[lineEnd] = '0'
+	}
+
+	return style
+}
+
+// The properties ::cue allows (white-space and text-decoration are split into these longhands)
+const cueProperties = /^(color|opacity|visibility|text-shadow|line-height|ruby-position|text-combine-upright|(text-decoration|background|outline|font|white-space|text-wrap)(-[a-z-]+)?)$/
+
+/**
+ * Splits a selector list at the commas that aren't inside brackets
+ * @param { string } selectorText
+ * @returns { string[] }
+ */
+function splitSelectorList(selectorText) {
+	const selectors = [ '' ]
+	let depth = 0
+	for (const char of selectorText) {
+		if (char == ',' && !depth) {
+			selectors.push('')
+			continue
+		}
+		if (char == '(' || char == '[') depth++
+		else if (char == ')' || char == ']') depth--
+		selectors[selectors.length - 1] += char
+	}
+	return selectors.map(selector => selector.trim())
+}
+
+/**
+ * Scopes the ::cue rules from WebVTT STYLE blocks to a subtitle container. Other rules and at-rules are left out
+ * (they'd style the player itself), and so are the properties ::cue doesn't allow and anything loading a url()
+ * @param { string } css
+ * @param { string } scope a selector for the container
+ * @returns { string }
+ */
+function scopeVTTStyles(css, scope) {
+	const sheet = new CSSStyleSheet()
+	sheet.replaceSync(css)
+	const rules = []
+	for (const rule of sheet.cssRules) {
+		if (!(rule instanceof CSSStyleRule)) continue
+		const selectors = splitSelectorList(rule.selectorText)
+		if (!selectors.every(selector => selector.startsWith('::cue'))) continue
+		const declarations = [ ...rule.style ]
+			.filter(property => cueProperties.test(property) && !/url\(/i.test(rule.style.getPropertyValue(property)))
+			.map(property => `${property}: ${rule.style.getPropertyValue(property)}${rule.style.getPropertyPriority(property) ? ' !important' : ''};`)
+		const scopedSelectors = selectors.map(selector => selector
+			.replace(/::cue\(([^)]*)\)/g, `${scope} .subtitle-cue :is($1)`)
+			.replace(/::cue(?![-\w(])/g, `${scope} .subtitle-cue`))
+		rules.push(`${scopedSelectors.join(', ')} { ${declarations.join(' ')} }`)
+	}
+	return rules.join('\n')
+}
+
+/**
+ * Parses a subtitle file, WebVTT files are detected by their header or extension, anything else is treated as SRT
+ * @param { string } text
+ * @param { string } url
+ * @returns { { format: 'vtt' | 'srt', cues: object[], styles: string[], invalidBlocks: string[] } }
+ */
+function parseSubtitles(text, url) {
+	const invalidBlocks = []
+	const onInvalidBlock = block => invalidBlocks.push(block)
+	if (/^\uFEFF?WEBVTT/.test(text) || /\.vtt$/i.test(new URL(url, location.href).pathname)) {
+		return { format: 'vtt', ...parseVTT(text, onInvalidBlock), invalidBlocks }
+	}
+	return { format: 'srt', cues: parseSRT(text, onInvalidBlock), styles: [], invalidBlocks }
+}
+
+/**
+ * Returns a cue's text without any formatting
+ * @param { string } text
+ * @param { 'vtt' | 'srt' } format
+ * @returns { string }
+ */
+function getCuePlainText(text, format) {
+	if (format == 'vtt') return renderVTTCueText(text).textContent.trim()
+	return createElement('div', { html: DOMPurify.sanitize(marked.parse(text)) }).textContent.trim()
+}
+
+function arraysEqual(a, b) {
+	return a.length == b.length && a.every((item, i) => item == b[i])
+}
+
 function clamp(min, n, max) {
 	return Math.min(Math.max(n, min), max)
 }
 
-function HTMLStringToElement(HTMLString) {
-	return new DOMParser().parseFromString(HTMLString, 'text/html').body.childNodes[0]
+/**
+ * Saves a blob with the browser's download UI
+ * @param { Blob } blob
+ * @param { string } filename
+ */
+function downloadBlob(blob, filename) {
+	const url = URL.createObjectURL(blob)
+	const link = createElement('a')
+	link.href = url
+	link.download = filename
+	link.click()
+	setTimeout(() => URL.revokeObjectURL(url), 60_000)
 }
 
-const icons = {
-	play: () => HTMLStringToElement('<svg xmlns="http://www.w3.org/2000/svg" fill="currentColor" height="24" viewBox="0 -960 960 960" width="24"><path d="M320-200v-560l440 280-440 280Z"/></svg>'),
-	pause: () => HTMLStringToElement('<svg xmlns="http://www.w3.org/2000/svg" fill="currentColor" height="24" viewBox="0 -960 960 960" width="24"><path d="M560-200v-560h160v560H560Zm-320 0v-560h160v560H240Z"/></svg>'),
-	volumeUp: () => HTMLStringToElement('<svg xmlns="http://www.w3.org/2000/svg" fill="currentColor" height="24" viewBox="0 -960 960 960" width="24"><path d="M560-131v-82q90-26 145-100t55-168q0-94-55-168T560-749v-82q124 28 202 125.5T840-481q0 127-78 224.5T560-131ZM120-360v-240h160l200-200v640L280-360H120Zm440 40v-322q47 22 73.5 66t26.5 96q0 51-26.5 94.5T560-320Z"/></svg>'),
-	volumeOff: () => HTMLStringToElement('<svg xmlns="http://www.w3.org/2000/svg" fill="currentColor" height="24" viewBox="0 -960 960 960" width="24"><path d="M792-56 671-177q-25 16-53 27.5T560-131v-82q14-5 27.5-10t25.5-12L480-368v208L280-360H120v-240h128L56-792l56-56 736 736-56 56Zm-8-232-58-58q17-31 25.5-65t8.5-70q0-94-55-168T560-749v-82q124 28 202 125.5T840-481q0 53-14.5 102T784-288ZM650-422l-90-90v-130q47 22 73.5 66t26.5 96q0 15-2.5 29.5T650-422ZM480-592 376-696l104-104v208Z"/></svg>'),
-	fullscreen: () => HTMLStringToElement('<svg xmlns="http://www.w3.org/2000/svg" fill="currentColor" height="24" viewBox="0 -960 960 960" width="24"><path d="M120-120v-200h80v120h120v80H120Zm520 0v-80h120v-120h80v200H640ZM120-640v-200h200v80H200v120h-80Zm640 0v-120H640v-80h200v200h-80Z"/></svg>'),
-	fullscreenExit: () => HTMLStringToElement('<svg xmlns="http://www.w3.org/2000/svg" fill="currentColor" height="24" viewBox="0 -960 960 960" width="24"><path d="M240-120v-120H120v-80h200v200h-80Zm400 0v-200h200v80H720v120h-80ZM120-640v-80h120v-120h80v200H120Zm520 0v-200h80v120h120v80H640Z"/></svg>'),
-	closedCaptions: () => HTMLStringToElement('<svg xmlns="http://www.w3.org/2000/svg" fill="currentColor" height="24" viewBox="0 -960 960 960" width="24"><path d="M200-160q-33 0-56.5-23.5T120-240v-480q0-33 23.5-56.5T200-800h560q33 0 56.5 23.5T840-720v480q0 33-23.5 56.5T760-160H200Zm80-200h120q17 0 28.5-11.5T440-400v-40h-60v20h-80v-120h80v20h60v-40q0-17-11.5-28.5T400-600H280q-17 0-28.5 11.5T240-560v160q0 17 11.5 28.5T280-360Zm280 0h120q17 0 28.5-11.5T720-400v-40h-60v20h-80v-120h80v20h60v-40q0-17-11.5-28.5T680-600H560q-17 0-28.5 11.5T520-560v160q0 17 11.5 28.5T560-360Z"/></svg>'),
-	closedCaptionsDisabled: () => HTMLStringToElement('<svg xmlns="http://www.w3.org/2000/svg" fill="currentColor" height="24" viewBox="0 -960 960 960" width="24"><path d="M819-28 687-160H200q-33 0-56.5-23.5T120-240v-487l-93-93 57-57L876-85l-57 57Zm21-207L706-369q7-5 10.5-13.5T720-400v-40h-60v20h-5l-75-75v-45h80v20h60v-40q0-17-11.5-28.5T680-600H560q-17 0-28.5 11.5T520-560v5L275-800h485q33 0 56.5 23.5T840-720v485ZM280-360h120q17 0 28.5-11.5T440-400v-7l-33-33h-27v20h-80v-127l-45-45q-7 5-11 13.5t-4 18.5v160q0 17 11.5 28.5T280-360Z"/></svg>'),
+/**
+ * Binary search, the array has to be sorted so that isBefore is true for the items before some point and false after it
+ * @param { any[] } array
+ * @param { (item: any) => boolean } isBefore
+ * @returns { number } the index of the first item isBefore is false for, or array.length
+ */
+function bisect(array, isBefore) {
+	let low = 0
+	let high = array.length
+	while (low < high) {
+		const middle = (low + high) >> 1
+		if (isBefore(array[middle])) low = middle + 1
+		else high = middle
+	}
+	return low
 }
 
-class StardustSeekBar extends HTMLElement {
-	videoElement
-	initialized
-	#watched
-	#preview
-	#seeking = false
+/**
+ * Adds a range to a list of [ start, end ] ranges, merging the ones that overlap
+ * @param { [ number, number ][] } ranges sorted by start, without overlaps
+ * @param { number } start
+ * @param { number } end
+ * @returns { [ number, number ][] } a new list, also sorted and without overlaps
+ */
+function addRange(ranges, start, end) {
+	const overlapping = ranges.filter(range => range[1] >= start && range[0] <= end)
+	const merged = [ Math.min(start, ...overlapping.map(range => range[0])), Math.max(end, ...overlapping.map(range => range[1])) ]
+	return [ ...ranges.filter(range => !overlapping.includes(range)), merged ].sort((a, b) => a[0] - b[0])
+}
 
-	get seeking() { return this.#seeking }
+/**
+ * Indexes things with a start and end time (cues, chapters, thumbnails) so the ones at a time can be found with a binary
+ * search, for findInTimeIndex
+ * @param { { start: number, end: number }[] } items
+ * @returns { { times: number[], items: any[][] } } items[i] are the ones from times[i] until times[i + 1]
+ */
+function createTimeIndex(items) {
+	const times = [ ...new Set(items.flatMap(item => [ item.start, item.end ])) ].sort((a, b) => a - b)
+	const byStart = [ ...items ].sort((a, b) => a.start - b.start)
+	let next = 0
+	let active = []
+	return {
+		times,
+		items: times.map(time => {
+			active = active.filter(item => item.end > time)
+			for (; next < byStart.length && byStart[next].start <= time; next++) {
+				if (byStart[next].end > time) active.push(byStart[next])
+			}
+			return active
+		}),
+	}
+}
+
+/**
+ * @param { { times: number[], items: any[][] } } index from createTimeIndex
+ * @param { number } time
+ * @returns { { items: any[], nextTime: number } } the items at the time, and the time they change next (Infinity if never)
+ */
+function findInTimeIndex(index, time) {
+	const i = bisect(index.times, t => t <= time) - 1
+	return { items: index.items[i] ?? [], nextTime: index.times[i + 1] ?? Infinity }
+}
+
+// Like fetch(url).then(i => i.text()), but HTTP errors reject too
+async function fetchText(url, signal) {
+	const response = await fetch(url, { signal })
+	if (!response.ok) throw new Error(`${url} couldn't be loaded (${response.status})`)
+	return response.text()
+}
+
+// The player's shadow root links the stylesheet next to this file
+const stylesheetURL = new URL('stardust-player.css', import.meta.url).href
+
+// There's only one media session per page, it belongs to the player that started playing last
+let mediaSessionPlayer = null
+
+// Shown in the error overlay, for each MediaError code
+const mediaErrorMessages = {
+	[MediaError.MEDIA_ERR_ABORTED]: 'Loading the video was stopped',
+	[MediaError.MEDIA_ERR_NETWORK]: 'The video couldn\'t be loaded because of a network error',
+	[MediaError.MEDIA_ERR_DECODE]: 'The video couldn\'t be played, the file may be damaged',
+	[MediaError.MEDIA_ERR_SRC_NOT_SUPPORTED]: 'The video couldn\'t be loaded, the file may be missing or in a format this browser doesn\'t support',
+}
+
+// The events StardustPlayer re-dispatches from its video element
+const mediaEventTypes = [
+	'abort', 'canplay', 'canplaythrough', 'durationchange', 'emptied', 'ended', 'error', 'loadeddata', 'loadedmetadata', 'loadstart', 'pause',
+	'play', 'playing', 'progress', 'ratechange', 'resize', 'seeked', 'seeking', 'stalled', 'suspend', 'timeupdate', 'volumechange', 'waiting',
+]
+
+// In seconds, shorter A-B loops would keep seeking back without playing anything
+const minLoopLength = 0.1
+
+// The equalizer's bands in Hz, the first and last are shelves and the others are peaks
+const equalizerFrequencies = [ 60, 230, 910, 3600, 14000 ]
+
+// Keys are the names from getKeyName, the values are actions from StardustPlayer's #getKeyboardActions
+const defaultKeymap = {
+	' ': 'togglePaused',
+	'k': 'togglePaused',
+	'm': 'toggleMute',
+	'f': 'toggleFullscreen',
+	'Escape': 'exitFullscreen',
+	'c': 'toggleSubtitles',
+	'p': 'togglePictureInPicture',
+	's': 'saveFrame',
+	'ArrowLeft': 'seekBackward',
+	'ArrowRight': 'seekForward',
+	'j': 'seekBackwardLarge',
+	'l': 'seekForwardLarge',
+	'Home': 'seekToStart',
+	'End': 'seekToEnd',
+	'0': 'seekToPercentage', '1': 'seekToPercentage', '2': 'seekToPercentage', '3': 'seekToPercentage', '4': 'seekToPercentage',
+	'5': 'seekToPercentage', '6': 'seekToPercentage', '7': 'seekToPercentage', '8': 'seekToPercentage', '9': 'seekToPercentage',
+	',': 'previousFrame',
+	'.': 'nextFrame',
+	'Ctrl+ArrowLeft': 'previousChapter',
+	'Ctrl+ArrowRight': 'nextChapter',
+	'P': 'previous',
+	'N': 'next',
+	'L': 'copyTimeLink',
+	'<': 'slower',
+	'>': 'faster',
+	'ArrowUp': 'volumeUp',
+	'ArrowDown': 'volumeDown',
+	'g': 'subtitleDelayDecrease',
+	'h': 'subtitleDelayIncrease',
+	'[': 'setLoopStart',
+	']': 'setLoopEnd',
+	'\\': 'clearLoop',
+	'?': 'toggleShortcuts',
+}
+
+// StardustPlayer's options, each one can also be set with a data- attribute (data-seek-step="10") or in the JSON of
+// the options attribute. Players get a deep copy, so changing the objects in one player's options doesn't change them
+// for the others
+const defaultOptions = {
+	analyticsInterval: 30,  // seconds between reports
+	doubleClickDuration: 250,
+	doubleTapJumpDuration: 500,
+	doubleTapJumpDistance: 5,
+	doubleTapJumpScreenPortion: 0.2,
+	frameRate: 30,  // for stepping through frames, videos don't say what theirs is
+	hideControlsTimeout: 1500,
+	hideControlsTimeoutMobile: 3000,
+	indicatorTimeout: 1000,
+	keymap: defaultKeymap,
+	liveEdgeTolerance: 10,  // seconds behind live that still count as live
+	mobileLayoutMaxWidth: 600,  // px, narrower players get the mobile layout with layout="auto"
+	persistAudioSettings: true,
+	persistPlaybackRate: true,
+	playlistAutoplay: true,
+	playbackRates: [0.25, 0.5, 0.75, 1, 1.25, 1.5, 1.75, 2, 2.5, 3],
+	previewImageIterations: 8,
+	previewImageMaxSize: { width: 480, height: 270 },
+	seekStep: 5,
+	seekStepLarge: 10,
+	subtitleOffsetStep: 0.1,
+	syncInterval: 1,  // seconds between heartbeats
+	syncLeaderOnly: false,  // only the leader can play, pause, seek and change the speed
+	syncSeekThreshold: 1,  // seconds, smaller drift is corrected by changing the speed a little
+	timeLinks: true,  // start at the time in the page's #t= or ?t=
+	upNextCountdown: 5,
+	volumeStep: 0.05,
+	waveformMaxDuration: 900,  // seconds, longer audio isn't decoded for the waveform, it needs precomputed peaks
+}
+
+/**
+ * Reads an option from a data- attribute, JSON when it can be parsed (numbers, booleans, objects) and a string otherwise
+ * @param { string } value
+ */
+function parseOptionValue(value) {
+	if (value == '') return true  // like a boolean attribute
+	try {
+		return JSON.parse(value)
+	} catch {
+		return value
+	}
+}
+
+// seekStep -> data-seek-step
+function getOptionAttributeName(name) {
+	return `data-${name.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}`
+}
+
+// Matches on phones and tablets, until the player has seen which pointer is used
+const coarsePointerQuery = matchMedia('(pointer: coarse)')
+
+/**
+ * Returns the name of the key pressed for a keymap, like 'k', 'Ctrl+ArrowLeft' or 'Shift+Home'. Shift is only
+ * added for keys like Home, for characters it's already in the key ('N', '?')
+ * @param { KeyboardEvent } e
+ * @returns { string }
+ */
+function getKeyName(e) {
+	return (e.ctrlKey || e.metaKey ? 'Ctrl+' : '') + (e.altKey ? 'Alt+' : '') + (e.shiftKey && e.key.length > 1 ? 'Shift+' : '') + e.key
+}
+
+const keyLabels = { ' ': 'Space', 'ArrowLeft': '←', 'ArrowRight': '→', 'ArrowUp': '↑', 'ArrowDown': '↓', 'Escape': 'Esc' }
+
+/* ------------------------------ Preview Worker ----------------------------- */
+// Encoding the generated preview images is the slow part, so it's done in a worker with an OffscreenCanvas where possible
+
+const previewWorkerSource = `
+	onmessage = async ({ data: { id, bitmap, type, quality } }) => {
+		try {
+			const canvas = new OffscreenCanvas(bitmap.width, bitmap.height)
+			canvas.getContext('2d').drawImage(bitmap, 0, 0)
+			bitmap.close()
+			postMessage({ id, blob: await canvas.convertToBlob({ type, quality }) })
+		} catch (error) {
+			postMessage({ id, error: { name: error.name, message: error.message } })
+		}
+	}
+`
+let previewWorker
+let previewWorkerMessageCount = 0
+const previewWorkerRequests = new Map()
+
+function canEncodeImagesInWorker() {
+	if (previewWorker === undefined) {
+		previewWorker = null
+		if (typeof OffscreenCanvas == 'undefined' || typeof createImageBitmap == 'undefined') return false
+		try {
+			previewWorker = new Worker(URL.createObjectURL(new Blob([ previewWorkerSource ], { type: 'text/javascript' })))
+		} catch {
+			return false  // e.g. blocked by a content security policy
+		}
+		previewWorker.addEventListener('message', ({ data }) => {
+			const { resolve, reject } = previewWorkerRequests.get(data.id)
+			previewWorkerRequests.delete(data.id)
+			data.error ? reject(new DOMException(data.error.message, data.error.name)) : resolve(data.blob)
+		})
+	}
+	return previewWorker != null
+}
+
+/**
+ * Encodes an image in the preview worker, the bitmap is transferred to it
+ * @param { ImageBitmap } bitmap
+ * @param { string } type
+ * @param { number } quality
+ * @returns { Promise<Blob> }
+ */
+function encodeImageInWorker(bitmap, type, quality) {
+	return new Promise((resolve, reject) => {
+		const id = previewWorkerMessageCount++
+		previewWorkerRequests.set(id, { resolve, reject })
+		previewWorker.postMessage({ id, bitmap, type, quality }, [ bitmap ])
+	})
+}
+
+/**
+ * Encodes a video's current frame, in the preview worker when nothing has to be drawn on top of it
+ * @param { HTMLVideoElement } video
+ * @param { {
+ *     width: number,
+ *     height: number,
+ *     type: string,
+ *     quality?: number,
+ *     draw?: (ctx: CanvasRenderingContext2D) => void
+ * } } options draw is called after the frame is drawn
+ * @returns { Promise<Blob> }
+ */
+async function encodeVideoFrame(video, { width, height, type, quality, draw }) {
+	if (!draw && canEncodeImagesInWorker()) {
+		const bitmap = await createImageBitmap(video, { resizeWidth: width, resizeHeight: height, resizeQuality: 'medium' })
+		return encodeImageInWorker(bitmap, type, quality)
+	}
+	const canvas = createElement('canvas')
+	canvas.width = width
+	canvas.height = height
+	const ctx = canvas.getContext('2d')
+	ctx.drawImage(video, 0, 0, width, height)
+	draw?.(ctx)
+	// toBlob throws a SecurityError for cross-origin videos without CORS
+	return new Promise((resolve, reject) => canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('the frame couldn\'t be encoded')), type, quality))
+}
+
+/* -------------------------------- Waveforms ------------------------------- */
+// Waveforms are peaks, the loudest sample in each slice of the audio from 0 to 1, spread evenly over the duration
+
+// Until the metadata says whether there's a picture, these are assumed to be audio
+const audioFileExtensions = /\.(mp3|m4a|aac|oga|ogg|opus|wav|flac|weba)$/i
+
+function normalizePeaks(peaks) {
+	// quiet recordings still fill the seek bar
+	const max = peaks.reduce((max, peak) => Math.max(max, peak), 0)
+	return max ? peaks.map(peak => peak / max) : peaks
+}
+
+/**
+ * Decodes an audio file to get its peaks, which means downloading all of it
+ * @param { string } url
+ * @param { number } peaksPerSecond
+ * @param { AbortSignal } signal
+ * @returns { Promise<Float32Array> }
+ */
+async function decodePeaks(url, peaksPerSecond, signal) {
+	const response = await fetch(url, { signal })
+	if (!response.ok) throw new Error(`${url} couldn't be loaded (${response.status})`)
+	// decoding resamples to the context's rate, 8000 Hz is the lowest every browser has to support. Every channel is
+	// kept though, so stereo still takes 64 KB a second (about 58 MB for waveformMaxDuration's 15 minutes) on top of the file
+	const context = new OfflineAudioContext(1, 1, 8000)
+	const buffer = await context.decodeAudioData(await response.arrayBuffer())
+	const samplesPerPeak = Math.max(1, Math.round(buffer.sampleRate / peaksPerSecond))
+	const peaks = new Float32Array(Math.ceil(buffer.length / samplesPerPeak))
+	for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+		const samples = buffer.getChannelData(channel)
+		for (let i = 0; i < samples.length; i++) {
+			const peak = Math.abs(samples[i])
+			const index = Math.floor(i / samplesPerPeak)
+			if (peak > peaks[index]) peaks[index] = peak
+		}
+	}
+	return normalizePeaks(peaks)
+}
+
+/**
+ * Reads precomputed peaks, either an array of numbers or the JSON made by BBC's audiowaveform
+ * (https://github.com/bbc/audiowaveform), which has a min and a max for each channel in each slice
+ * @param { number[] | { channels?: number, data: number[] } } json
+ * @returns { Float32Array }
+ */
+function parsePeaks(json) {
+	if (Array.isArray(json)) return normalizePeaks(Float32Array.from(json, Math.abs))
+	if (!Array.isArray(json?.data)) throw new Error('the peaks have to be an array or have a data array')
+	const stride = 2 * (json.channels ?? 1)
+	const peaks = new Float32Array(Math.floor(json.data.length / stride))
+	for (let i = 0; i < json.data.length; i++) {
+		const index = Math.floor(i / stride)
+		if (index < peaks.length) peaks[index] = Math.max(peaks[index], Math.abs(json.data[i]))
+	}
+	return normalizePeaks(peaks)
+}
+
+/**
+ * Draws peaks[start] to peaks[end] as bars across the whole canvas, the parts outside the peaks are left empty
+ * @param { CanvasRenderingContext2D } ctx
+ * @param { ArrayLike<number> } peaks
+ * @param { number } start can be fractional or out of range
+ * @param { number } end
+ */
+function drawPeaks(ctx, peaks, start, end) {
+	const { width, height } = ctx.canvas
+	const barWidth = 2 * devicePixelRatio
+	const bars = Math.floor(width / (barWidth * 1.5))
+	const peaksPerBar = (end - start) / bars
+	for (let i = 0; i < bars; i++) {
+		const barStart = start + i * peaksPerBar
+		if (barStart < 0 || barStart >= peaks.length) continue
+		let peak = 0
+		for (let j = Math.floor(barStart); j < Math.min(peaks.length, Math.max(barStart + peaksPerBar, Math.floor(barStart) + 1)); j++) {
+			peak = Math.max(peak, peaks[j])
+		}
+		const barHeight = Math.max(barWidth, peak * height)
+		ctx.fillRect(i * width / bars, (height - barHeight) / 2, barWidth, barHeight)
+	}
+}
+
+/* -------------------------------- Streaming ------------------------------- */
+// Source handlers play srcs the video element can't play by itself, the built in ones play HLS and DASH through
+// Media Source Extensions. A handler is { canHandle(src), create(videoElement, src) }, create returns an EventTarget with
+// { qualities, quality, activeQuality, destroy() } that dispatches qualitieschange, qualitychange and error events
+
+function parseISODuration(duration) {
+	const match = duration?.match(/^P(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/)
+	if (!match) return NaN
+	const [ days, hours, minutes, seconds ] = match.slice(1).map(i => parseFloat(i ?? 0))
+	return days * 86400 + hours * 3600 + minutes * 60 + seconds
+}
+
+function parseByteRange(range) {
+	if (!range) return undefined
+	const [ start, end ] = range.split('-').map(i => parseInt(i))
+	return { start, end }
+}
+
+/**
+ * Reads the codecs of an fMP4 init segment from its sample descriptions, for manifests that don't list them
+ * @param { ArrayBuffer } data
+ * @returns { string | undefined } like 'avc1.4d401f,mp4a.40.2'
+ */
+function getInitSegmentCodecs(data) {
+	const view = new DataView(data)
+	const hex = (byte, length = 2) => byte.toString(16).padStart(length, '0')
+	const getType = offset => String.fromCharCode(...new Uint8Array(data, offset, 4))
+	// calls onBox(type, start of the contents, end) for the boxes in start to end
+	const readBoxes = (start, end, onBox) => {
+		for (let offset = start; offset + 8 <= end;) {
+			const size = view.getUint32(offset) || end - offset
+			if (size < 8) return
+			onBox(getType(offset + 4), offset + 8, Math.min(offset + size, end))
+			offset += size
+		}
+	}
+	const findBox = (start, end, type) => {
+		let found
+		readBoxes(start, end, (boxType, contentStart, contentEnd) => found ??= boxType == type ? [ contentStart, contentEnd ] : undefined)
+		return found
+	}
+	// MPEG-4 descriptors have a tag and a size that's 7 bits per byte
+	const readDescriptor = offset => {
+		const tag = view.getUint8(offset++)
+		let size = 0
+		let byte
+		do {
+			byte = view.getUint8(offset++)
+			size = size << 7 | byte & 0x7f
+		} while (byte & 0x80)
+		return { tag, start: offset, end: offset + size }
+	}
+
+	const describe = (type, start, end) => {
+		// sample entries have 78 (video) or 28 (audio) bytes before their child boxes
+		const video = [ 'avc1', 'avc3', 'hvc1', 'hev1', 'av01', 'vp09' ].includes(type)
+		const childStart = start + (video ? 78 : 28)
+		if (type == 'avc1' || type == 'avc3') {
+			const [ config ] = findBox(childStart, end, 'avcC') ?? []
+			return config && `${type}.${hex(view.getUint8(config + 1))}${hex(view.getUint8(config + 2))}${hex(view.getUint8(config + 3))}`
+		}
+		if (type == 'hvc1' || type == 'hev1') {
+			const [ config ] = findBox(childStart, end, 'hvcC') ?? []
+			if (!config) return
+			const profileByte = view.getUint8(config + 1)
+			let compatibility = view.getUint32(config + 2)
+			let reversed = 0
+			for (let i = 0; i < 32; i++, compatibility >>>= 1) reversed = reversed << 1 | compatibility & 1
+			const constraints = [ ...new Uint8Array(data, config + 6, 6) ]
+			while (constraints.length && !constraints.at(-1)) constraints.pop()
+			return [
+				type,
+				`${[ '', 'A', 'B', 'C' ][profileByte >> 6]}${profileByte & 0x1f}`,
+				(reversed >>> 0).toString(16),
+				`${profileByte & 0x20 ? 'H' : 'L'}${view.getUint8(config + 12)}`,
+				...constraints.map(byte => byte.toString(16)),
+			].join('.')
+		}
+		if (type == 'av01') {
+			const [ config ] = findBox(childStart, end, 'av1C') ?? []
+			if (!config) return
+			const profileAndLevel = view.getUint8(config + 1)
+			const flags = view.getUint8(config + 2)
+			const bitDepth = flags & 0x40 ? (flags & 0x20 ? 12 : 10) : 8
+			return `av01.${profileAndLevel >> 5}.${hex(profileAndLevel & 0x1f)}${flags & 0x80 ? 'H' : 'M'}.${String(bitDepth).padStart(2, '0')}`
+		}
+		if (type == 'vp09') {
+			const [ config ] = findBox(childStart, end, 'vpcC') ?? []
+			return config && `vp09.${[ 4, 5 ].map(i => String(view.getUint8(config + i)).padStart(2, '0')).join('.')}.${String(view.getUint8(config + 6) >> 4).padStart(2, '0')}`
+		}
+		if (type == 'mp4a') {
+			const [ esds ] = findBox(childStart, end, 'esds') ?? []
+			if (!esds) return 'mp4a.40.2'
+			const esDescriptor = readDescriptor(esds + 4)
+			const flags = view.getUint8(esDescriptor.start + 2)
+			let offset = esDescriptor.start + 3 + (flags & 0x80 ? 2 : 0) + (flags & 0x20 ? 2 : 0)
+			if (flags & 0x40) offset += 1 + view.getUint8(offset)
+			const decoderConfig = readDescriptor(offset)
+			const objectType = view.getUint8(decoderConfig.start)
+			if (objectType != 0x40 || decoderConfig.start + 13 >= decoderConfig.end) return `mp4a.${hex(objectType)}`
+			const specificInfo = readDescriptor(decoderConfig.start + 13)
+			let audioObjectType = view.getUint8(specificInfo.start) >> 3
+			if (audioObjectType == 31) audioObjectType = 32 + ((view.getUint8(specificInfo.start) & 7) << 3 | view.getUint8(specificInfo.start + 1) >> 5)
+			return `mp4a.40.${audioObjectType}`
+		}
+		return { Opus: 'opus', fLaC: 'flac', 'ac-3': 'ac-3', 'ec-3': 'ec-3' }[type]
+	}
+
+	const codecs = []
+	const [ moovStart, moovEnd ] = findBox(0, data.byteLength, 'moov') ?? []
+	if (moovStart === undefined) return undefined
+	readBoxes(moovStart, moovEnd, (type, trakStart, trakEnd) => {
+		if (type != 'trak') return
+		let box = [ trakStart, trakEnd ]
+		for (const path of [ 'mdia', 'minf', 'stbl', 'stsd' ]) box = box && findBox(...box, path)
+		if (!box) return
+		// stsd is a full box with an entry count before the entries
+		readBoxes(box[0] + 8, box[1], (entryType, entryStart, entryEnd) => {
+			const codec = describe(entryType, entryStart, entryEnd)
+			if (codec && !codecs.includes(codec)) codecs.push(codec)
+		})
+	})
+	return codecs.join(',') || undefined
+}
+
+/**
+ * Loads an HLS playlist, only fragmented MP4 (CMAF) segments are supported. Live playlists (without #EXT-X-ENDLIST)
+ * have an Infinity duration and are loaded again every target duration by MSEStreamingEngine
+ * @param { string } src
+ * @param { AbortSignal } signal
+ */
+async function loadHLSManifest(src, signal) {
+	const parseAttributes = line => Object.fromEntries([ ...line.matchAll(/([A-Z0-9-]+)=("[^"]*"|[^,]*)/g) ].map(([ , key, value ]) => [ key, value.replace(/^"|"$/g, '') ]))
+	const parseMediaPlaylist = (lines, url) => {
+		const segments = []
+		let init
+		let time = 0
+		let duration
+		let byteRange
+		let nextByteRangeStart = 0
+		let sequence = 0  // live playlists drop old segments, the numbers say which ones are new
+		let targetDuration = 6
+		for (const line of lines) {
+			if (line.startsWith('#EXT-X-MEDIA-SEQUENCE:')) {
+				sequence = parseInt(line.slice(22))
+			} else if (line.startsWith('#EXT-X-TARGETDURATION:')) {
+				targetDuration = parseFloat(line.slice(22))
+			} else if (line.startsWith('#EXT-X-MAP:')) {
+				const { URI, BYTERANGE } = parseAttributes(line)
+				const [ length, offset ] = BYTERANGE ? BYTERANGE.split('@').map(i => parseInt(i)) : []
+				init = { url: new URL(URI, url).href, range: BYTERANGE ? { start: offset, end: offset + length - 1 } : undefined }
+			} else if (line.startsWith('#EXTINF:')) {
+				duration = parseFloat(line.slice(8))
+			} else if (line.startsWith('#EXT-X-BYTERANGE:')) {
+				const [ length, offset ] = line.slice(17).split('@').map(i => parseInt(i))
+				const start = isNaN(offset) ? nextByteRangeStart : offset
+				byteRange = { start, end: start + length - 1 }
+				nextByteRangeStart = start + length
+			} else if (line && !line.startsWith('#') && duration !== undefined) {
+				segments.push({ url: new URL(line, url).href, range: byteRange, start: time, duration, sequence: sequence++ })
+				time += duration
+				duration = undefined
+				byteRange = undefined
+			}
+		}
+		if (!init) throw new Error('Only HLS streams with fragmented MP4 segments are supported by the built in handler')
+		const live = !lines.includes('#EXT-X-ENDLIST')
+		return { init, segments, duration: live ? Infinity : time, live, targetDuration }
+	}
+	const getLines = text => text.split(/\r?\n/).map(line => line.trim())
+	const loadMediaPlaylist = async url => parseMediaPlaylist(getLines(await fetchText(url, signal)), url)
+
+	const lines = getLines(await fetchText(src, signal))
+	// a media playlist on its own, the codecs are read from its init segment
+	if (!lines.some(line => line.startsWith('#EXT-X-STREAM-INF:'))) {
+		const playlist = parseMediaPlaylist(lines, src)
+		return { duration: playlist.duration, live: playlist.live, targetDuration: playlist.targetDuration, video: [ { id: '0', bitrate: 0, mimeType: 'video/mp4', ...playlist } ], audio: null }
+	}
+
+	const variants = []
+	const audioRenditions = {}
+	for (const [ i, line ] of lines.entries()) {
+		if (line.startsWith('#EXT-X-STREAM-INF:')) {
+			const attributes = parseAttributes(line)
+			const [ width, height ] = attributes.RESOLUTION ? attributes.RESOLUTION.split('x').map(i => parseInt(i)) : []
+			variants.push({ url: new URL(lines.slice(i + 1).find(line => line && !line.startsWith('#')), src).href, bitrate: parseInt(attributes.BANDWIDTH), width, height, codecs: attributes.CODECS, audioGroup: attributes.AUDIO })
+		} else if (line.startsWith('#EXT-X-MEDIA:')) {
+			const attributes = parseAttributes(line)
+			if (attributes.TYPE != 'AUDIO' || !attributes.URI) continue
+			const isDefault = attributes.DEFAULT == 'YES'
+			if (!audioRenditions[attributes['GROUP-ID']] || isDefault) audioRenditions[attributes['GROUP-ID']] = new URL(attributes.URI, src).href
+		}
+	}
+
+	const audioURL = audioRenditions[variants.find(variant => variant.audioGroup)?.audioGroup]
+	const video = await Promise.all(variants.map(async (variant, i) => {
+		// without a separate audio rendition the segments have both, without CODECS they're read from the init segment
+		const codecs = variant.codecs?.split(',').filter(codec => !audioURL || !/^(mp4a|ac-3|ec-3|opus|flac)/.test(codec.trim())).join(',') || undefined
+		return { id: String(i), bitrate: variant.bitrate, width: variant.width, height: variant.height, mimeType: 'video/mp4', codecs, ...await loadMediaPlaylist(variant.url) }
+	}))
+	const audioCodec = variants[0].codecs?.split(',').map(codec => codec.trim()).find(codec => /^(mp4a|ac-3|ec-3|opus|flac)/.test(codec))
+	const audio = audioURL ? [ { id: 'audio', bitrate: 0, mimeType: 'audio/mp4', codecs: audioCodec, ...await loadMediaPlaylist(audioURL) } ] : null
+	return { duration: video[0].duration, live: video[0].live, targetDuration: video[0].targetDuration, video, audio }
+}
+
+/**
+ * Loads a static DASH manifest (live ones aren't supported), the first period is played and representations need a
+ * SegmentTemplate or SegmentList
+ * @param { string } src
+ * @param { AbortSignal } signal
+ */
+async function loadDASHManifest(src, signal) {
+	const mpd = new DOMParser().parseFromString(await fetchText(src, signal), 'application/xml').documentElement
+	if (mpd.getAttribute('type') == 'dynamic') throw new Error('Live DASH streams aren\'t supported by the built in handler')
+	const period = mpd.querySelector(':scope > Period')
+	if (!period) throw new Error('The DASH manifest has no periods')
+	const duration = parseISODuration(period.getAttribute('duration') ?? mpd.getAttribute('mediaPresentationDuration'))
+	const resolveBaseURL = (element, base) => {
+		const baseURL = element.querySelector(':scope > BaseURL')?.textContent.trim()
+		return baseURL ? new URL(baseURL, base).href : base
+	}
+	const fillTemplate = (template, values) => template
+		.replace(/\$(RepresentationID|Number|Bandwidth|Time)(?:%0(\d+)d)?\$/g, (match, name, width) => String(values[name]).padStart(width ?? 0, '0'))
+		.replace(/\$\$/g, '$')
+
+	const loadRepresentation = (adaptationSet, representation, baseURL) => {
+		const getAttribute = name => representation.getAttribute(name) ?? adaptationSet.getAttribute(name)
+		const id = representation.getAttribute('id')
+		const bitrate = parseInt(representation.getAttribute('bandwidth'))
+		const url = resolveBaseURL(representation, baseURL)
+		const values = { RepresentationID: id, Bandwidth: bitrate }
+
+		// templates and lists can be on the representation or the adaptation set, with attributes split between them
+		const templates = [ representation, adaptationSet, period ].map(element => element.querySelector(':scope > SegmentTemplate')).filter(i => i)
+		const segmentList = representation.querySelector(':scope > SegmentList') ?? adaptationSet.querySelector(':scope > SegmentList')
+		const segments = []
+		let init
+		if (templates.length) {
+			const getTemplateAttribute = name => templates.map(template => template.getAttribute(name)).find(value => value != null)
+			const timescale = parseInt(getTemplateAttribute('timescale') ?? 1)
+			const presentationTimeOffset = parseInt(getTemplateAttribute('presentationTimeOffset') ?? 0)
+			let number = parseInt(getTemplateAttribute('startNumber') ?? 1)
+			const media = getTemplateAttribute('media')
+			init = { url: new URL(fillTemplate(getTemplateAttribute('initialization'), values), url).href }
+			const timeline = templates.map(template => template.querySelector(':scope > SegmentTimeline')).find(i => i)
+			if (timeline) {
+				let time = 0
+				const entries = [ ...timeline.querySelectorAll(':scope > S') ]
+				for (const [ i, entry ] of entries.entries()) {
+					time = entry.hasAttribute('t') ? parseInt(entry.getAttribute('t')) : time
+					const segmentDuration = parseInt(entry.getAttribute('d'))
+					let repeat = parseInt(entry.getAttribute('r') ?? 0)
+					// -1 repeats until the next entry or the end of the period
+					if (repeat < 0) {
+						const end = entries[i + 1]?.hasAttribute('t') ? parseInt(entries[i + 1].getAttribute('t')) : duration * timescale + presentationTimeOffset
+						repeat = Math.ceil((end - time) / segmentDuration) - 1
+					}
+					for (let r = 0; r <= repeat; r++) {
+						segments.push({ url: new URL(fillTemplate(media, { ...values, Number: number, Time: time }), url).href, start: (time - presentationTimeOffset) / timescale, duration: segmentDuration / timescale })
+						time += segmentDuration
+						number++
+					}
+				}
+			} else {
+				const segmentDuration = parseInt(getTemplateAttribute('duration'))
+				const count = Math.ceil(duration * timescale / segmentDuration)
+				for (let i = 0; i < count; i++) {
+					segments.push({ url: new URL(fillTemplate(media, { ...values, Number: number + i, Time: i * segmentDuration }), url).href, start: i * segmentDuration / timescale, duration: Math.min(segmentDuration / timescale, duration - i * segmentDuration / timescale) })
+				}
+			}
+		} else if (segmentList) {
+			const timescale = parseInt(segmentList.getAttribute('timescale') ?? 1)
+			const segmentDuration = parseInt(segmentList.getAttribute('duration')) / timescale
+			const initialization = segmentList.querySelector(':scope > Initialization')
+			init = { url: new URL(initialization?.getAttribute('sourceURL') ?? '', url).href, range: parseByteRange(initialization?.getAttribute('range')) }
+			for (const [ i, segmentURL ] of [ ...segmentList.querySelectorAll(':scope > SegmentURL') ].entries()) {
+				segments.push({ url: new URL(segmentURL.getAttribute('media') ?? '', url).href, range: parseByteRange(segmentURL.getAttribute('mediaRange')), start: i * segmentDuration, duration: segmentDuration })
+			}
+		} else {
+			throw new Error('Only DASH representations with a SegmentTemplate or SegmentList are supported by the built in handler')
+		}
+
+		return {
+			id,
+			bitrate,
+			width: parseInt(getAttribute('width')) || undefined,
+			height: parseInt(getAttribute('height')) || undefined,
+			mimeType: getAttribute('mimeType'),
+			codecs: getAttribute('codecs'),
+			init,
+			segments,
+		}
+	}
+
+	const baseURL = resolveBaseURL(period, resolveBaseURL(mpd, src))
+	const renditions = { video: [], audio: [] }
+	for (const adaptationSet of period.querySelectorAll(':scope > AdaptationSet')) {
+		const representations = [ ...adaptationSet.querySelectorAll(':scope > Representation') ]
+		const type = (adaptationSet.getAttribute('contentType') ?? adaptationSet.getAttribute('mimeType') ?? representations[0]?.getAttribute('mimeType') ?? '').split('/')[0]
+		if (!renditions[type] || renditions[type].length) continue  // the first adaptation set of each type is used
+		const setBaseURL = resolveBaseURL(adaptationSet, baseURL)
+		renditions[type] = representations.map(representation => loadRepresentation(adaptationSet, representation, setBaseURL))
+	}
+	if (!renditions.video.length) throw new Error('The DASH manifest has no video')
+
+	// only the best audio is used, switching audio quality isn't worth the glitches
+	const audio = renditions.audio.length ? [ renditions.audio.reduce((a, b) => b.bitrate > a.bitrate ? b : a) ] : null
+	return { duration, video: renditions.video, audio }
+}
+
+class MSEStreamingEngine extends EventTarget {
+	qualities = []
+	activeQuality = -1
+	#quality = -1
+	#video
+	#manifest
+	#mediaSource
+	#tracks = []
+	#abortController = new AbortController()
+	#bandwidthEstimate = 0
+	// how far the media's timestamps are from the playlist's times, 0 for VOD. Live streams don't start at 0, so it's
+	// null for them until the first segment is appended
+	#timeOffset = 0
+	#liveWindowStart = 0
+
+	static bufferAhead = 30
+	static bufferBehind = 30
+	static liveReloadAttempts = 3  // a live playlist that can't be loaded this many times in a row ends the stream
+
+	/**
+	 * @param { HTMLVideoElement } video
+	 * @param { string } src
+	 * @param { (src: string, signal: AbortSignal) => Promise<object> } loadManifest
+	 */
+	constructor(video, src, loadManifest) {
+		super()
+		this.#video = video
+		this.#load(src, loadManifest).catch(error => {
+			if (this.#abortController.signal.aborted) return
+			const event = new Event('error')
+			event.error = error
+			this.dispatchEvent(event)
+		})
+	}
+
+	// -1 is automatic
+	get quality() { return this.#quality }
+	set quality(newValue) {
+		this.#quality = newValue
+		// the buffered segments are dropped so the change shows up quickly
+		const videoTrack = this.#tracks.find(track => track.type == 'video')
+		if (videoTrack) videoTrack.flush = true
+		this.#dispatch('qualitychange')
+	}
+
+	destroy() {
+		this.#abortController.abort()
+		if (this.#mediaSource?.readyState == 'open') {
+			try {
+				this.#mediaSource.endOfStream()
+			} catch {}
+		}
+	}
+
+	#dispatch(name) {
+		this.dispatchEvent(new Event(name))
+	}
+
+	async #load(src, loadManifest) {
+		const { signal } = this.#abortController
+		this.#manifest = await loadManifest(src, signal)
+		this.qualities = this.#manifest.video.map(rendition => ({
+			width: rendition.width,
+			height: rendition.height,
+			bitrate: rendition.bitrate,
+			label: rendition.height ? `${rendition.height}p` : `${Math.round(rendition.bitrate / 1000)} kbps`,
+		}))
+		this.#dispatch('qualitieschange')
+
+		// manifests that don't list the codecs get them from the init segments, which are kept for appending later
+		await Promise.all([ ...this.#manifest.video, ...this.#manifest.audio ?? [] ].filter(rendition => !rendition.codecs).map(async rendition => {
+			rendition.initData = await this.#fetchSegment(rendition.init)
+			rendition.codecs = getInitSegmentCodecs(rendition.initData)
+			if (!rendition.codecs) throw new Error('The stream\'s codecs aren\'t in the manifest or its init segments')
+		}))
+
+		this.#mediaSource = new MediaSource()
+		const objectURL = URL.createObjectURL(this.#mediaSource)
+		this.#video.src = objectURL
+		await new Promise(resolve => this.#mediaSource.addEventListener('sourceopen', resolve, { once: true }))
+		URL.revokeObjectURL(objectURL)
+		if (signal.aborted) return
+		// an Infinity duration is what makes the player use live mode
+		if (!isNaN(this.#manifest.duration)) this.#mediaSource.duration = this.#manifest.duration
+
+		// live streams start 3 segments from the end, like the HLS spec says
+		const videoSegments = this.#manifest.video[0].segments
+		const startTime = this.#manifest.live ? videoSegments[Math.max(0, videoSegments.length - 3)]?.start ?? 0 : 0
+		if (this.#manifest.live) this.#timeOffset = null
+		const renditionGroups = [ [ 'video', this.#manifest.video ], [ 'audio', this.#manifest.audio ] ].filter(([ , renditions ]) => renditions)
+		this.#tracks = renditionGroups.map(([ type, renditions ]) => ({
+			type,
+			renditions,
+			sourceBuffer: this.#mediaSource.addSourceBuffer(`${renditions[0].mimeType}; codecs="${renditions[0].codecs}"`),
+			rendition: null,
+			segmentIndex: this.#getSegmentIndex(renditions[0], startTime),
+			flush: false,
+			done: false,
+		}))
+
+		this.#video.addEventListener('seeking', () => {
+			if (this.#timeOffset == null) return
+			// what's already buffered there isn't loaded again
+			for (const track of this.#tracks) {
+				const bufferedEnd = this.#getBufferedEnd(track.sourceBuffer, this.#video.currentTime)
+				track.segmentIndex = this.#getSegmentIndex(track.renditions[0], bufferedEnd - this.#timeOffset)
+				track.seeked = true
+			}
+		}, { signal })
+
+		await Promise.all([
+			...this.#tracks.map(track => this.#runTrack(track)),
+			this.#manifest.live && this.#reloadLiveManifest(src, loadManifest),
+		])
+	}
+
+	// Live playlists get new segments at the end, they're added after the known ones so their times keep going up
+	async #reloadLiveManifest(src, loadManifest) {
+		const { signal } = this.#abortController
+		let failures = 0
+		while (this.#manifest.live) {
+			await new Promise(resolve => setTimeout(resolve, this.#manifest.targetDuration * 1000))
+			if (signal.aborted) return
+			let manifest
+			try {
+				manifest = await loadManifest(src, signal)
+			} catch (error) {
+				// tried again next target duration, the segments that are already known keep playing meanwhile
+				if (signal.aborted || ++failures >= MSEStreamingEngine.liveReloadAttempts) throw error
+				continue
+			}
+			failures = 0
+			for (const type of [ 'video', 'audio' ]) {
+				manifest[type]?.forEach((rendition, i) => {
+					const { segments } = this.#manifest[type]?.[i] ?? {}
+					if (!segments) return
+					for (const segment of rendition.segments) {
+						const last = segments.at(-1)
+						if (last && segment.sequence <= last.sequence) continue
+						segments.push({ ...segment, start: last ? last.start + last.duration : 0 })
+					}
+				})
+			}
+			// the segments that were dropped from the playlist can't be seeked to anymore
+			const firstSequence = manifest.video[0].segments[0]?.sequence
+			this.#liveWindowStart = this.#manifest.video[0].segments.find(segment => segment.sequence >= firstSequence)?.start ?? this.#liveWindowStart
+			this.#manifest.live = manifest.live
+			this.#updateLiveSeekableRange()
+		}
+	}
+
+	#updateLiveSeekableRange() {
+		if (this.#timeOffset == null || this.#mediaSource.readyState != 'open' || !this.#mediaSource.setLiveSeekableRange) return
+		const lastSegment = this.#manifest.video[0].segments.at(-1)
+		if (!lastSegment) return
+		this.#mediaSource.setLiveSeekableRange(this.#liveWindowStart + this.#timeOffset, lastSegment.start + lastSegment.duration + this.#timeOffset)
+	}
+
+	#getSegmentIndex(rendition, time) {
+		const index = rendition.segments.findIndex(segment => time < segment.start + segment.duration)
+		return index < 0 ? rendition.segments.length : index
+	}
+
+	#chooseRendition(track) {
+		if (track.type != 'video') return track.renditions[0]
+		let quality = this.#quality
+		if (quality < 0) {
+			// the best quality that fits in the measured bandwidth, starting with the lowest
+			const byBitrate = track.renditions.map((rendition, i) => i).sort((a, b) => track.renditions[a].bitrate - track.renditions[b].bitrate)
+			quality = byBitrate.findLast(i => track.renditions[i].bitrate <= this.#bandwidthEstimate * 0.8) ?? byBitrate[0]
+		}
+		if (quality != this.activeQuality) {
+			this.activeQuality = quality
+			this.#dispatch('qualitychange')
+		}
+		return track.renditions[quality]
+	}
+
+	async #fetchSegment(segment) {
+		const startTime = performance.now()
+		const headers = segment.range ? { Range: `bytes=${segment.range.start}-${segment.range.end ?? ''}` } : {}
+		const response = await fetch(segment.url, { headers, signal: this.#abortController.signal })
+		if (!response.ok) throw new Error(`${segment.url} couldn't be loaded (${response.status})`)
+		const data = await response.arrayBuffer()
+		const bandwidth = data.byteLength * 8 / Math.max((performance.now() - startTime) / 1000, 0.001)
+		this.#bandwidthEstimate = this.#bandwidthEstimate ? this.#bandwidthEstimate * 0.7 + bandwidth * 0.3 : bandwidth
+		return data
+	}
+
+	#waitForUpdate(sourceBuffer) {
+		if (!sourceBuffer.updating) return Promise.resolve()
+		return new Promise((resolve, reject) => {
+			sourceBuffer.addEventListener('updateend', resolve, { once: true })
+			sourceBuffer.addEventListener('error', () => reject(new Error('A segment couldn\'t be decoded')), { once: true })
+		})
+	}
+
+	async #append(track, data) {
+		try {
+			track.sourceBuffer.appendBuffer(data)
+		} catch (error) {
+			if (error.name != 'QuotaExceededError') throw error
+			// drop everything behind the playhead and try again
+			track.sourceBuffer.remove(0, Math.max(this.#video.currentTime - 1, 0))
+			await this.#waitForUpdate(track.sourceBuffer)
+			track.sourceBuffer.appendBuffer(data)
+		}
+		await this.#waitForUpdate(track.sourceBuffer)
+	}
+
+	#getBufferedEnd(sourceBuffer, time) {
+		const { buffered } = sourceBuffer
+		for (let i = 0; i < buffered.length; i++) {
+			if (time >= buffered.start(i) - 0.1 && time <= buffered.end(i)) return buffered.end(i)
+		}
+		return time
+	}
+
+	async #runTrack(track) {
+		const { signal } = this.#abortController
+		while (!signal.aborted) {
+			const time = this.#video.currentTime
+			const timeOffset = this.#timeOffset ?? 0
+			const rendition = this.#chooseRendition(track)
+
+			if (track.flush) {
+				track.flush = false
+				const nextIndex = this.#getSegmentIndex(rendition, time - timeOffset)
+				const flushStart = rendition.segments[nextIndex + 1]?.start
+				if (flushStart !== undefined) {
+					await this.#waitForUpdate(track.sourceBuffer)
+					track.sourceBuffer.remove(flushStart + timeOffset, Infinity)
+					await this.#waitForUpdate(track.sourceBuffer)
+					track.segmentIndex = nextIndex + 1
+				}
+			}
+
+			const bufferedAhead = this.#getBufferedEnd(track.sourceBuffer, time) - time
+			if (track.segmentIndex >= rendition.segments.length || (bufferedAhead > MSEStreamingEngine.bufferAhead && !track.seeked)) {
+				// live tracks wait for the playlist to be loaded again
+				track.done = !this.#manifest.live && track.segmentIndex >= rendition.segments.length
+				if (this.#tracks.every(track => track.done) && this.#mediaSource.readyState == 'open' && this.#tracks.every(track => !track.sourceBuffer.updating)) {
+					this.#mediaSource.endOfStream()
+				}
+				await new Promise(resolve => setTimeout(resolve, 500))
+				continue
+			}
+			track.done = false
+			track.seeked = false
+
+			if (track.rendition != rendition) {
+				if (track.rendition && track.rendition.codecs != rendition.codecs && track.sourceBuffer.changeType) {
+					track.sourceBuffer.changeType(`${rendition.mimeType}; codecs="${rendition.codecs}"`)
+				}
+				await this.#append(track, rendition.initData ?? await this.#fetchSegment(rendition.init))
+				track.rendition = rendition
+			}
+
+			const segmentIndex = track.segmentIndex
+			const data = await this.#fetchSegment(rendition.segments[segmentIndex])
+			if (signal.aborted) return
+			// a seek while it was loading moved the position, the segment is still fine to append
+			await this.#append(track, data)
+			if (track.segmentIndex == segmentIndex) track.segmentIndex++
+			if (this.#timeOffset == null && track.sourceBuffer.buffered.length) {
+				// the first live segment says where the stream is in the media's time, playback starts there
+				this.#timeOffset = track.sourceBuffer.buffered.start(0) - rendition.segments[segmentIndex].start
+				this.#updateLiveSeekableRange()
+				this.#video.currentTime = track.sourceBuffer.buffered.start(0)
+			}
+
+			// keep the buffer from growing forever
+			const removeEnd = this.#video.currentTime - MSEStreamingEngine.bufferBehind
+			if (removeEnd > 0 && track.sourceBuffer.buffered.length && track.sourceBuffer.buffered.start(0) < removeEnd) {
+				track.sourceBuffer.remove(0, removeEnd)
+				await this.#waitForUpdate(track.sourceBuffer)
+			}
+		}
+	}
+}
+
+const sourceHandlers = [
+	{
+		name: 'hls',
+		// Safari plays HLS by itself (MPEG-TS segments and live playlists too), so it's only used where it can't
+		canHandle: (src, videoElement) => /\.m3u8$/i.test(new URL(src, location.href).pathname) && typeof MediaSource != 'undefined' && !videoElement.canPlayType('application/vnd.apple.mpegurl'),
+		create: (videoElement, src) => new MSEStreamingEngine(videoElement, src, loadHLSManifest),
+	},
+	{
+		name: 'dash',
+		canHandle: src => /\.mpd$/i.test(new URL(src, location.href).pathname) && typeof MediaSource != 'undefined',
+		create: (videoElement, src) => new MSEStreamingEngine(videoElement, src, loadDASHManifest),
+	},
+]
+
+/* ---------------------------------- Sync ---------------------------------- */
+
+// Sync transports carry the messages between synced players. Like source handlers a transport is
+// { canHandle(sync), create(sync) } where sync is the player's sync attribute, create returns an EventTarget with
+// { send(message), close() } that dispatches message events (with e.message) and error events
+
+// Connects to a relay that sends each message to every other client connected to the same URL
+class WebSocketSyncTransport extends EventTarget {
+	#url
+	#socket
+	#closed = false
+	#retryDelay = 1000
+	#queue = []  // sent once it's connected
+
+	constructor(url) {
+		super()
+		this.#url = url
+		this.#connect()
+	}
+
+	send(message) {
+		if (this.#socket.readyState == WebSocket.OPEN) this.#socket.send(JSON.stringify(message))
+		else if (this.#socket.readyState == WebSocket.CONNECTING) this.#queue.push(message)
+	}
+
+	close() {
+		this.#closed = true
+		this.#socket.close()
+	}
+
+	#connect() {
+		const socket = new WebSocket(this.#url)
+		this.#socket = socket
+		socket.addEventListener('open', () => {
+			this.#retryDelay = 1000
+			for (const message of this.#queue.splice(0)) socket.send(JSON.stringify(message))
+		})
+		socket.addEventListener('message', e => {
+			let message
+			try {
+				message = JSON.parse(e.data)
+			} catch {
+				return
+			}
+			const event = new Event('message')
+			event.message = message
+			this.dispatchEvent(event)
+		})
+		socket.addEventListener('error', () => {
+			const event = new Event('error')
+			event.error = new Error(`Couldn't connect to ${this.#url}`)
+			this.dispatchEvent(event)
+		})
+		// reconnects with a growing delay, heartbeats bring everyone back in sync after
+		socket.addEventListener('close', () => {
+			if (this.#closed) return
+			setTimeout(() => this.#closed || this.#connect(), this.#retryDelay)
+			this.#retryDelay = Math.min(this.#retryDelay * 2, 30000)
+		})
+	}
+}
+
+const syncTransports = [
+	{
+		name: 'websocket',
+		canHandle: sync => /^wss?:\/\//i.test(sync),
+		create: sync => new WebSocketSyncTransport(sync),
+	},
+	{
+		// anything else is a room name, for players in the same browser (other tabs, or the same page)
+		name: 'broadcastchannel',
+		canHandle: () => typeof BroadcastChannel != 'undefined',
+		create(sync) {
+			const channel = new BroadcastChannel(`stardust-player-sync:${sync}`)
+			const transport = new EventTarget()
+			channel.addEventListener('message', e => {
+				const event = new Event('message')
+				event.message = e.data
+				transport.dispatchEvent(event)
+			})
+			transport.send = message => channel.postMessage(message)
+			transport.close = () => channel.close()
+			return transport
+		},
+	},
+]
+
+/* -------------------------------------------------------------------------- */
+
+function HTMLStringToElement(HTMLString) {
+	return new DOMParser().parseFromString(HTMLString, 'text/html').body.childNodes[0]
+}
+
+const icons = {
+	play: () => HTMLStringToElement('<svg xmlns="http://www.w3.org/2000/svg" fill="currentColor" height="24" viewBox="0 -960 960 960" width="24"><path d="M320-200v-560l440 280-440 280Z"/></svg>'),
+	pause: () => HTMLStringToElement('<svg xmlns="http://www.w3.org/2000/svg" fill="currentColor" height="24" viewBox="0 -960 960 960" width="24"><path d="M560-200v-560h160v560H560Zm-320 0v-560h160v560H240Z"/></svg>'),
+	volumeUp: () => HTMLStringToElement('<svg xmlns="http://www.w3.org/2000/svg" fill="currentColor" height="24" viewBox="0 -960 960 960" width="24"><path d="M560-131v-82q90-26 145-100t55-168q0-94-55-168T560-749v-82q124 28 202 125.5T840-481q0 127-78 224.5T560-131ZM120-360v-240h160l200-200v640L280-360H120Zm440 40v-322q47 22 73.5 66t26.5 96q0 51-26.5 94.5T560-320Z"/></svg>'),
+	volumeOff: () => HTMLStringToElement('<svg xmlns="http://www.w3.org/2000/svg" fill="currentColor" height="24" viewBox="0 -960 960 960" width="24"><path d="M792-56 671-177q-25 16-53 27.5T560-131v-82q14-5 27.5-10t25.5-12L480-368v208L280-360H120v-240h128L56-792l56-56 736 736-56 56Zm-8-232-58-58q17-31 25.5-65t8.5-70q0-94-55-168T560-749v-82q124 28 202 125.5T840-481q0 53-14.5 102T784-288ZM650-422l-90-90v-130q47 22 73.5 66t26.5 96q0 15-2.5 29.5T650-422ZM480-592 376-696l104-104v208Z"/></svg>'),
+	fullscreen: () => HTMLStringToElement('<svg xmlns="http://www.w3.org/2000/svg" fill="currentColor" height="24" viewBox="0 -960 960 960" width="24"><path d="M120-120v-200h80v120h120v80H120Zm520 0v-80h120v-120h80v200H640ZM120-640v-200h200v80H200v120h-80Zm640 0v-120H640v-80h200v200h-80Z"/></svg>'),
+	fullscreenExit: () => HTMLStringToElement('<svg xmlns="http://www.w3.org/2000/svg" fill="currentColor" height="24" viewBox="0 -960 960 960" width="24"><path d="M240-120v-120H120v-80h200v200h-80Zm400 0v-200h200v80H720v120h-80ZM120-640v-80h120v-120h80v200H120Zm520 0v-200h80v120h120v80H640Z"/></svg>'),
+	closedCaptions: () => HTMLStringToElement('<svg xmlns="http://www.w3.org/2000/svg" fill="currentColor" height="24" viewBox="0 -960 960 960" width="24"><path d="M200-160q-33 0-56.5-23.5T120-240v-480q0-33 23.5-56.5T200-800h560q33 0 56.5 23.5T840-720v480q0 33-23.5 56.5T760-160H200Zm80-200h120q17 0 28.5-11.5T440-400v-40h-60v20h-80v-120h80v20h60v-40q0-17-11.5-28.5T400-600H280q-17 0-28.5 11.5T240-560v160q0 17 11.5 28.5T280-360Zm280 0h120q17 0 28.5-11.5T720-400v-40h-60v20h-80v-120h80v20h60v-40q0-17-11.5-28.5T680-600H560q-17 0-28.5 11.5T520-560v160q0 17 11.5 28.5T560-360Z"/></svg>'),
+	closedCaptionsDisabled: () => HTMLStringToElement('<svg xmlns="http://www.w3.org/2000/svg" fill="currentColor" height="24" viewBox="0 -960 960 960" width="24"><path d="M819-28 687-160H200q-33 0-56.5-23.5T120-240v-487l-93-93 57-57L876-85l-57 57Zm21-207L706-369q7-5 10.5-13.5T720-400v-40h-60v20h-5l-75-75v-45h80v20h60v-40q0-17-11.5-28.5T680-600H560q-17 0-28.5 11.5T520-560v5L275-800h485q33 0 56.5 23.5T840-720v485ZM280-360h120q17 0 28.5-11.5T440-400v-7l-33-33h-27v20h-80v-127l-45-45q-7 5-11 13.5t-4 18.5v160q0 17 11.5 28.5T280-360Z"/></svg>'),
+	speed: () => HTMLStringToElement('<svg xmlns="http://www.w3.org/2000/svg" fill="currentColor" height="24" viewBox="0 -960 960 960" width="24"><path d="M418-340q24 24 62 23.5t56-27.5l224-336-336 224q-27 18-28.5 55t22.5 61Zm62-460q59 0 113.5 16.5T696-734l-76 48q-33-17-68.5-25.5T480-720q-133 0-226.5 93.5T160-400q0 42 11.5 83t32.5 77h552q23-38 33.5-79t10.5-85q0-36-8.5-70T766-540l48-76q30 47 47.5 100T880-406q1 57-13 109t-41 99q-11 18-30 28t-40 10H204q-21 0-40-10t-30-28q-26-45-40-95.5T80-400q0-83 31.5-155.5t86-127Q252-737 325-768.5T480-800Zm7 313Z"/></svg>'),
+	settings: () => HTMLStringToElement('<svg xmlns="http://www.w3.org/2000/svg" fill="currentColor" height="24" viewBox="0 -960 960 960" width="24"><path d="m370-80-16-128q-13-5-24.5-12T307-235l-119 50L78-375l103-78q-1-7-1-13.5v-27q0-6.5 1-13.5L78-585l110-190 119 50q11-8 23-15t24-12l16-128h220l16 128q13 5 24.5 12t22.5 15l119-50 110 190-103 78q1 7 1 13.5v27q0 6.5-2 13.5l103 78-110 190-118-50q-11 8-23 15t-24 12L590-80H370Zm112-260q58 0 99-41t41-99q0-58-41-99t-99-41q-59 0-99.5 41T342-480q0 58 40.5 99t99.5 41Z"/></svg>'),
+	skipNext: () => HTMLStringToElement('<svg xmlns="http://www.w3.org/2000/svg" fill="currentColor" height="24" viewBox="0 -960 960 960" width="24"><path d="M660-240v-480h80v480h-80Zm-440 0v-480l360 240-360 240Z"/></svg>'),
+	skipPrevious: () => HTMLStringToElement('<svg xmlns="http://www.w3.org/2000/svg" fill="currentColor" height="24" viewBox="0 -960 960 960" width="24"><path d="M220-240v-480h80v480h-80Zm520 0L380-480l360-240v480Z"/></svg>'),
+	screenshot: () => HTMLStringToElement('<svg xmlns="http://www.w3.org/2000/svg" fill="currentColor" height="24" viewBox="0 -960 960 960" width="24"><path d="M480-260q75 0 127.5-52.5T660-440q0-75-52.5-127.5T480-620q-75 0-127.5 52.5T300-440q0 75 52.5 127.5T480-260Zm0-80q-42 0-71-29t-29-71q0-42 29-71t71-29q42 0 71 29t29 71q0 42-29 71t-71 29ZM160-120q-33 0-56.5-23.5T80-200v-480q0-33 23.5-56.5T160-760h126l74-80h240l74 80h126q33 0 56.5 23.5T880-680v480q0 33-23.5 56.5T800-120H160Zm0-80h640v-480H638l-73-80H395l-73 80H160v480Zm320-240Z"/></svg>'),
+	equalizer: () => HTMLStringToElement('<svg xmlns="http://www.w3.org/2000/svg" fill="currentColor" height="24" viewBox="0 -960 960 960" width="24"><path d="M160-160v-320h160v320H160Zm240 0v-640h160v640H400Zm240 0v-440h160v440H640Z"/></svg>'),
+	pictureInPicture: () => HTMLStringToElement('<svg xmlns="http://www.w3.org/2000/svg" fill="currentColor" height="24" viewBox="0 -960 960 960" width="24"><path d="M160-160q-33 0-56.5-23.5T80-240v-480q0-33 23.5-56.5T160-800h640q33 0 56.5 23.5T880-720v480q0 33-23.5 56.5T800-160H160Zm0-80h640v-480H160v480Zm0 0v-480 480Zm280-40h320v-240H440v240Z"/></svg>'),
+}
+
+class StardustSeekBar extends HTMLElement {
+	videoElement
+	initialized
+	step = 5  // seconds, for the arrow keys
+	#watched
+	#valueText
+	#preview
+	#seeking = false
+	#chapters = []
+	#chaptersContainer
+	#loopRange = null
+	#loopElements
+	#bufferedContainer
+	#live = false
+	#peaks = null
+	#waveform
+	#waveformPreview
+
+	get seeking() { return this.#seeking }
+
+	// In live mode the bar covers the seekable DVR window instead of the whole duration, chapters and loops aren't shown
+	get live() { return this.#live }
+	set live(newValue) {
+		this.#live = newValue
+		this.#renderChapters()
+		this.#renderLoopRange()
+		this.#renderBuffered()
+	}
+
+	// The range the bar covers, null when there's nothing to show yet
+	#getRange() {
+		const range = getSeekRange(this.videoElement, this.#live)
+		return Number.isFinite(range.end) && range.end > range.start ? range : null
+	}
+	#getTimeAt(clientX, range) {
+		const { left, width } = this.getBoundingClientRect()
+		return range.start + clamp(0, clientX - left, width) / width * (range.end - range.start)
+	}
+
+	// Chapters split the bar into segments, they're { start, end, title }
+	get chapters() { return this.#chapters }
+	set chapters(newValue) { this.#chapters = newValue; this.#renderChapters() }
+
+	#renderChapters() {
+		if (!this.initialized) return
+		const duration = this.videoElement.duration
+		const shown = this.#chapters.length > 0 && isFinite(duration) && !this.#live
+		this.classList.toggle('has-chapters', shown)
+		if (!shown) {
+			this.#chaptersContainer.replaceChildren()
+			return
+		}
+		this.#chaptersContainer.replaceChildren(...this.#chapters.map(chapter => {
+			const segment = createElement('div', { class: 'seek-bar-chapter', part: 'seek-bar-chapter', children: [ createElement('div', { class: 'seek-bar-chapter-watched', part: 'seek-bar-chapter-watched' }) ] })
+			segment.style.left = `${chapter.start / duration * 100}%`
+			segment.style.width = `calc(${(Math.min(chapter.end, duration) - chapter.start) / duration * 100}% - var(--chapter-gap))`
+			return segment
+		}))
+	}
+
+	// The parts of the video that have loaded
+	#renderBuffered() {
+		if (!this.initialized) return
+		const buffered = this.videoElement.buffered
+		const range = this.#getRange()
+		if (!range) {
+			this.#bufferedContainer.replaceChildren()
+			return
+		}
+		const length = range.end - range.start
+		this.#bufferedContainer.replaceChildren(...Array.from({ length: buffered.length }, (_, i) => {
+			const start = clamp(range.start, buffered.start(i), range.end)
+			const end = clamp(range.start, buffered.end(i), range.end)
+			const element = createElement('div', { class: 'seek-bar-buffered-range', part: 'seek-bar-buffered' })
+			element.style.left = `${(start - range.start) / length * 100}%`
+			element.style.width = `${(end - start) / length * 100}%`
+			return element
+		}))
+	}
+
+	// Peaks from 0 to 1 spread evenly over the duration, with them the bar is a waveform and the popover shows the part
+	// of it around the pointer instead of a preview image
+	get peaks() { return this.#peaks }
+	set peaks(newValue) { this.#peaks = newValue?.length ? newValue : null; this.#renderWaveform() }
+
+	// The waveform is drawn once as a mask, the watched part is colored by a gradient behind it
+	#renderWaveform() {
+		if (!this.initialized) return
+		this.classList.toggle('waveform', Boolean(this.#peaks))
+		if (!this.#peaks) {
+			this.#waveform.style.maskImage = ''
+			return
+		}
+		const { width, height } = this.#waveform.getBoundingClientRect()
+		if (!width || !height) return  // the resize observer tries again
+		const canvas = createElement('canvas')
+		canvas.width = Math.round(width * devicePixelRatio)
+		canvas.height = Math.round(height * devicePixelRatio)
+		drawPeaks(canvas.getContext('2d'), this.#peaks, 0, this.#peaks.length)
+		this.#waveform.style.maskImage = `url("${canvas.toDataURL()}")`
+	}
+
+	// 20 seconds around the time, with a line at the time
+	#renderWaveformPreview(time) {
+		const canvas = this.#waveformPreview
+		const duration = this.videoElement.duration
+		const { width, height } = canvas.getBoundingClientRect()
+		if (!width || !Number.isFinite(duration)) return
+		canvas.width = Math.round(width * devicePixelRatio)
+		canvas.height = Math.round(height * devicePixelRatio)
+		const ctx = canvas.getContext('2d')
+		const peaksPerSecond = this.#peaks.length / duration
+		const span = Math.min(duration, 20) * peaksPerSecond
+		ctx.fillStyle = '#fffa'
+		drawPeaks(ctx, this.#peaks, time * peaksPerSecond - span / 2, time * peaksPerSecond + span / 2)
+		ctx.fillStyle = getComputedStyle(canvas).color  // the accent color
+		ctx.fillRect(Math.round(canvas.width / 2 - devicePixelRatio), 0, 2 * devicePixelRatio, canvas.height)
+	}
+
+	// The A-B loop markers, { start, end } or null, dragging them dispatches a looprangechange event with the new range
+	get loopRange() { return this.#loopRange }
+	set loopRange(newValue) { this.#loopRange = newValue; this.#renderLoopRange() }
+
+	#renderLoopRange() {
+		if (!this.initialized) return
+		const duration = this.videoElement.duration
+		const { region, startHandle, endHandle } = this.#loopElements
+		const hidden = !this.#loopRange || !isFinite(duration) || this.#live
+		for (const element of [ region, startHandle, endHandle ]) element.hidden = hidden
+		if (hidden) return
+		const start = this.#loopRange.start / duration * 100
+		const end = Math.min(this.#loopRange.end, duration) / duration * 100
+		region.style.left = `${start}%`
+		region.style.width = `${end - start}%`
+		startHandle.style.left = `${start}%`
+		endHandle.style.left = `${end}%`
+	}
+
+	constructor() {
+		super()
+
+		this.videoElement
+		this.initialized = false
+	}
+
+	updateBar(currentTime) {
+		const range = this.#getRange()
+		const fraction = range ? clamp(0, (currentTime - range.start) / (range.end - range.start), 1) : 0
+		this.#watched.style.width = `${fraction * 100}%`
+		this.#waveform.style.setProperty('--watched', `${fraction * 100}%`)
+		// only when the second changes, screen readers can read the value whenever it does
+		const duration = this.videoElement.duration
+		const valueText = this.#live && range ? `${formatSpokenTime(range.end - currentTime)} behind live`
+			: Number.isFinite(duration) ? `${formatSpokenTime(currentTime)} of ${formatSpokenTime(duration)}` : formatSpokenTime(currentTime)
+		if (valueText != this.#valueText) {
+			this.#valueText = valueText
+			this.setAttribute('aria-valuemin', range ? Math.floor(range.start) : 0)
+			this.setAttribute('aria-valuenow', Math.floor(currentTime))
+			this.setAttribute('aria-valuemax', range ? Math.floor(range.end) : 0)
+			this.setAttribute('aria-valuetext', valueText)
+		}
+		for (const [ i, segment ] of [ ...this.#chaptersContainer.children ].entries()) {
+			const chapter = this.#chapters[i]
+			const end = Math.min(chapter.end, this.videoElement.duration)
+			segment.firstChild.style.width = `${clamp(0, (currentTime - chapter.start) / (end - chapter.start), 1) * 100}%`
+		}
+	}
+
+	// The image in the popover, { src, x, y, width, height, imageWidth, imageHeight } where x/y/width/height is the region
+	// of the image to show (for sprite sheets), or null for no image
+	#previewImage = null
+	get previewImage() { return this.#previewImage }
+	set previewImage(value) {
+		if (value?.src == this.#previewImage?.src && value?.x == this.#previewImage?.x && value?.y == this.#previewImage?.y) return
+		this.#previewImage = value
+		this.#preview.hidden = !value
+		if (!value) return
+		const { src, x, y, width, height, imageWidth, imageHeight } = value
+		this.#preview.style.aspectRatio = `${width} / ${height}`
+		this.#preview.style.backgroundImage = `url("${src}")`
+		this.#preview.style.backgroundSize = `${imageWidth / width * 100}% ${imageHeight / height * 100}%`
+		this.#preview.style.backgroundPosition = `${imageWidth == width ? 0 : x / (imageWidth - width) * 100}% ${imageHeight == height ? 0 : y / (imageHeight - height) * 100}%`
+	}
+
+	connectedCallback() {
+		if (this.initialized) return
+		this.initialized = true
+		/* -------------------------------- Seek Bar -------------------------------- */
+		this.tabIndex = 0
+		this.setAttribute('role', 'slider')
+		this.setAttribute('aria-label', 'Seek')
+		this.setAttribute('aria-valuemin', 0)
+
+		this.addEventListener('keydown', e => {
+			const range = this.#getRange()
+			if (!range || e.ctrlKey || e.altKey || e.metaKey) return
+			const time = this.videoElement.currentTime
+			const times = {
+				ArrowLeft: time - this.step,
+				ArrowDown: time - this.step,
+				ArrowRight: time + this.step,
+				ArrowUp: time + this.step,
+				PageDown: time - (range.end - range.start) / 10,
+				PageUp: time + (range.end - range.start) / 10,
+				Home: range.start,
+				End: range.end,
+			}
+			if (!(e.key in times)) return
+			e.preventDefault()
+			e.stopPropagation()  // the player's shortcuts would handle the key too
+			const event = new Event('timechange')
+			event.time = clamp(range.start, times[e.key], range.end)
+			this.dispatchEvent(event)
+		})
+		const watched = createElement('div', { class: 'seek-bar-watched seek-bar', part: 'seek-bar-watched' })
+		const remaining = createElement('div', { class: 'seek-bar-remaining seek-bar', part: 'seek-bar-remaining' })
+		const thumb = createElement('div', { class: 'seek-bar-thumb', part: 'seek-bar-thumb' })
+		const clickArea = createElement('div', { class: 'seek-bar-click-area' })
+		const bufferedContainer = createElement('div', { class: 'seek-bar-buffered seek-bar' })
+		const chaptersContainer = createElement('div', { class: 'seek-bar-chapters seek-bar' })
+		const waveform = createElement('div', { class: 'seek-bar-waveform', part: 'seek-bar-waveform' })
+		this.append(watched, thumb, remaining, bufferedContainer, chaptersContainer, waveform, clickArea)
+		
+		this.#watched = watched
+		this.#waveform = waveform
+		// the waveform is drawn for the bar's size
+		new ResizeObserver(() => this.#peaks && this.#renderWaveform()).observe(this)
+		this.#chaptersContainer = chaptersContainer
+		this.#bufferedContainer = bufferedContainer
+		// timeupdate also moves a live stream's window
+		for (const type of [ 'progress', 'timeupdate', 'durationchange', 'emptied' ]) {
+			this.videoElement.addEventListener(type, () => this.#renderBuffered())
+		}
+		// the segments are positioned using the duration
+		this.videoElement.addEventListener('durationchange', () => {
+			this.#renderChapters()
+			this.#renderLoopRange()
+		})
+
+		/* -------------------------------- A-B Loop -------------------------------- */
+		const loopRegion = createElement('div', { class: 'seek-bar-loop seek-bar', part: 'seek-bar-loop' })
+		const loopStartHandle = createElement('div', { class: 'seek-bar-loop-handle', part: 'seek-bar-loop-handle' })
+		const loopEndHandle = createElement('div', { class: 'seek-bar-loop-handle', part: 'seek-bar-loop-handle' })
+		this.append(loopRegion, loopStartHandle, loopEndHandle)
+		this.#loopElements = { region: loopRegion, startHandle: loopStartHandle, endHandle: loopEndHandle }
+
+		// Dragging captures the pointer, so the moves outside the seek bar still come here and nothing has to listen on document
+		for (const handle of [ loopStartHandle, loopEndHandle ]) {
+			let dragging = false
+			handle.addEventListener('pointerdown', e => {
+				e.stopPropagation()
+				handle.setPointerCapture(e.pointerId)
+				dragging = true
+			})
+			handle.addEventListener('pointermove', e => {
+				if (!dragging) return
+				const { left, width } = this.getBoundingClientRect()
+				const time = clamp(0, e.clientX - left, width) / width * this.videoElement.duration
+				// the markers can't cross each other
+				const loopRange = handle == loopStartHandle
+					? { start: Math.min(time, this.#loopRange.end - minLoopLength), end: this.#loopRange.end }
+					: { start: this.#loopRange.start, end: Math.max(time, this.#loopRange.start + minLoopLength) }
+				const event = new Event('looprangechange')
+				event.loopRange = loopRange
+				this.dispatchEvent(event)
+			})
+			handle.addEventListener('lostpointercapture', () => dragging = false)
+		}
+
+		const updateScrubbing = e => {
+			if (!this.#seeking) return
+			const range = this.#getRange()
+			if (!range) return
+			const event = new Event('timechange')
+			event.time = this.#getTimeAt(e.clientX, range)
+			this.dispatchEvent(event)
+		}
+
+		clickArea.addEventListener('pointerdown', e => {
+			clickArea.setPointerCapture(e.pointerId)
+			this.#seeking = true
+			this.classList.add('seeking')
+			updateScrubbing(e)
+
+			const event = new Event('seekingchange')
+			event.seeking = this.#seeking
+			this.dispatchEvent(event)
+		})
+
+		clickArea.addEventListener('pointermove', updateScrubbing)
+
+		// also when the capture is lost some other way, like the seek bar being removed
+		const stopScrubbing = e => {
+			if (!this.#seeking) return
+			if (e.type == 'pointerup') updateScrubbing(e)
+			this.#seeking = false
+			this.classList.remove('seeking')
+
+			const event = new Event('seekingchange')
+			event.seeking = this.#seeking
+			this.dispatchEvent(event)
+		}
+		clickArea.addEventListener('pointerup', stopScrubbing)
+		clickArea.addEventListener('lostpointercapture', stopScrubbing)
+
+		/* ---------------------------- Seek Bar Popover ---------------------------- */
+		const popover = createElement('div', { class: 'seek-bar-popover', part: 'seek-bar-popover' })
+		popover.setAttribute('aria-hidden', true)
+		const preview = createElement('div', { class: 'seek-bar-preview', part: 'seek-bar-preview' })
+		const timecode = createElement('div', { class: 'seek-bar-timecode', part: 'seek-bar-timecode' })
+		const chapterTitle = createElement('div', { class: 'seek-bar-chapter-title', part: 'seek-bar-chapter-title' })
+		const waveformPreview = createElement('canvas', { class: 'seek-bar-waveform-preview', part: 'seek-bar-waveform-preview' })
+
+		this.#preview = preview
+		this.#waveformPreview = waveformPreview
+
+		preview.hidden = true
+
+		popover.append(timecode, chapterTitle, preview, waveformPreview)
+		this.append(popover)
+
+		this.addEventListener('pointermove', e => {
+			const { left, width } = this.getBoundingClientRect()
+			const range = this.#getRange()
+			if (!range) return
+			const previewTime = this.#getTimeAt(e.clientX, range)
+			const event = new Event('previewtimechange')
+			event.time = previewTime
+			this.dispatchEvent(event)
+			if (this.#peaks) this.#renderWaveformPreview(previewTime)
+			const previewWidth = (this.#peaks ? waveformPreview : preview).getBoundingClientRect().width
+			let pos = (e.clientX - left)
+			if (pos < previewWidth / 2) {
+				pos = previewWidth / 2
+			}
+			if (pos > width - previewWidth / 2) {
+				pos = width - previewWidth / 2
+			}
+			popover.style.left = `${pos}px`
+
+			// live streams show how far behind live it is
+			timecode.textContent = this.#live ? `-${formatTime(range.end - previewTime)}` : formatTime(previewTime)
+			chapterTitle.textContent = this.#chapters[bisect(this.#chapters, chapter => chapter.start <= previewTime) - 1]?.title ?? ''
+		})
+
+		this.#renderChapters()
+		this.#renderLoopRange()
+		this.#renderWaveform()
+	}
+}
+
+class StardustMenu extends HTMLElement {
+	anchor
+	#items = []
+	#heading = ''
+	#open = false
+	#closeOnOutsidePointerDown = e => {
+		// e.target is the player when the menu is in its shadow root
+		const path = e.composedPath()
+		if (path.includes(this) || path.includes(this.anchor)) return
+		this.open = false
+	}
+
+	// Items are { label, value, selected? }, picking one dispatches a select event with its value,
+	// items can also be { element } to show something other than a button
+	get items() { return this.#items }
+	set items(newValue) { this.#items = newValue; this.#render() }
+
+	get heading() { return this.#heading }
+	set heading(newValue) { this.#heading = newValue; this.#render() }
+
+	#updateOpen() {
+		this.classList.toggle('open', this.#open)
+		this.anchor?.setAttribute('aria-expanded', this.#open)
+		// keyboard users end up in the menu when it opens, and back on its button when it closes
+		const focusableItems = this.#getFocusableItems()
+		if (this.#open) {
+			(focusableItems.find(item => item.closest('.selected')) ?? focusableItems[0])?.focus()
+		} else if (focusableItems.includes(this.getRootNode().activeElement)) {
+			this.anchor?.focus()
+		}
+	}
+	get open() { return this.#open }
+	set open(newValue) { this.#open = newValue; this.#updateOpen() }
+	toggle() { this.open = !this.open }
+
+	#getFocusableItems() {
+		return [ ...this.querySelectorAll('button, input') ]
+	}
+
+	// Arrow keys move between the items like in other menus
+	#handleKeyDown(e) {
+		const items = this.#getFocusableItems()
+		const index = items.indexOf(this.getRootNode().activeElement)
+		switch (e.key) {
+			case 'ArrowDown':
+				items[(index + 1) % items.length]?.focus()
+				break
+			case 'ArrowUp':
+				items.at(index <= 0 ? -1 : index - 1)?.focus()
+				break
+			case 'Home':
+				items[0]?.focus()
+				break
+			case 'End':
+				items.at(-1)?.focus()
+				break
+			case 'Escape':
+				this.open = false
+				break
+			default:
+				return
+		}
+		e.preventDefault()
+		e.stopPropagation()  // not the player's shortcuts
+	}
+
+	constructor() {
+		super()
+		this.addEventListener('keydown', e => this.#handleKeyDown(e))
+	}
+
+	#render() {
+		const heading = createElement('div', { class: 'menu-heading', text: this.#heading })
+		const items = this.#items.map(item => {
+			if (item.element) return item.element
+			const button = createElement('button', { class: item.selected ? 'menu-item selected' : 'menu-item', part: 'menu-item', text: item.label })
+			// items that can be selected are like radio buttons, the others are just actions
+			if ('selected' in item) {
+				button.setAttribute('role', 'menuitemradio')
+				button.setAttribute('aria-checked', Boolean(item.selected))
+			} else {
+				button.setAttribute('role', 'menuitem')
+			}
+			button.addEventListener('click', () => {
+				this.open = false
+				const event = new Event('select')
+				event.value = item.value
+				this.dispatchEvent(event)
+			})
+			return button
+		})
+		this.replaceChildren(...(this.#heading ? [ heading ] : []), ...items)
+		this.setAttribute('aria-label', this.#heading)
+	}
+
+	connectedCallback() {
+		this.setAttribute('role', 'menu')
+		document.addEventListener('pointerdown', this.#closeOnOutsidePointerDown)
+	}
+
+	disconnectedCallback() {
+		document.removeEventListener('pointerdown', this.#closeOnOutsidePointerDown)
+	}
+}
+
+class StardustTranscript extends HTMLElement {
+	static observedAttributes = ['for']
+
+	initialized = false
+	#player
+	#searchInput
+	#matchCount
+	#list
+	#cueElements = []
+	#activeCues = []
+	#matchIndex = -1
+	#render = () => this.#renderCues()
+	#updateActiveCues = e => {
+		this.#activeCues = e.activeCues
+		if (!this.initialized) return
+		for (const [ i, cueElement ] of this.#cueElements.entries()) {
+			cueElement.classList.toggle('active', this.#activeCues.includes(this.#player.subtitleCues[i]))
+		}
+		const activeElement = this.#list.querySelector('.active')
+		// don't scroll away from what the user is looking at
+		if (activeElement && !this.#list.matches(':hover')) this.#scrollTo(activeElement)
+	}
+
+	// Alias for the HTML attribute (the id of the player)
+	get for() { return this.getAttribute('for') }
+	set for(newValue) { this.setAttribute('for', newValue) }
+
+	// The player can also be set directly
+	get player() { return this.#player }
+	set player(newValue) {
+		this.#unsubscribe()
+		this.#player = newValue
+		if (this.isConnected) this.#subscribe()
+		this.#renderCues()
+	}
+
+	// Only listened to while the transcript is in the page, so a removed one doesn't keep updating
+	#subscribe() {
+		this.#player?.addEventListener('subtitlecueschange', this.#render)
+		this.#player?.addEventListener('cuechange', this.#updateActiveCues)
+	}
+	#unsubscribe() {
+		this.#player?.removeEventListener('subtitlecueschange', this.#render)
+		this.#player?.removeEventListener('cuechange', this.#updateActiveCues)
+	}
+
+	#findPlayer() {
+		if (!this.for) return
+		const player = document.getElementById(this.for)
+		if (player) {
+			if (player != this.#player) this.player = player
+		} else if (document.readyState == 'loading') {
+			// the player might come after the transcript in the document
+			document.addEventListener('DOMContentLoaded', () => this.#findPlayer(), { once: true })
+		}
+	}
+
+	#scrollTo(element) {
+		this.#list.scrollTo({ top: element.offsetTop - (this.#list.clientHeight - element.offsetHeight) / 2, behavior: 'smooth' })
+	}
+
+	#renderCues() {
+		if (!this.initialized) return
+		const cues = this.#player?.subtitleCues ?? []
+		this.#cueElements = cues.map(cue => {
+			const element = createElement('button', { class: 'transcript-cue', children: [
+				createElement('span', { class: 'transcript-cue-time', text: formatTime(cue.start) }),
+				createElement('span', { class: 'transcript-cue-text', text: cue.text }),
+			] })
+			element.classList.toggle('active', this.#activeCues.includes(cue))
+			element.addEventListener('click', () => this.#player.currentTime = cue.start + this.#player.subtitleOffset)
+			return element
+		})
+		this.#list.replaceChildren(...this.#cueElements)
+		this.#highlightMatches()
+	}
+
+	#highlightMatches() {
+		const query = this.#searchInput.value.trim().toLowerCase()
+		const cues = this.#player?.subtitleCues ?? []
+		let matches = 0
+		for (const [ i, cueElement ] of this.#cueElements.entries()) {
+			const text = cues[i].text
+			const textElement = cueElement.querySelector('.transcript-cue-text')
+			const parts = []
+			let index = 0
+			while (query) {
+				const matchIndex = text.toLowerCase().indexOf(query, index)
+				if (matchIndex < 0) break
+				parts.push(text.slice(index, matchIndex), createElement('mark', { text: text.slice(matchIndex, matchIndex + query.length) }))
+				index = matchIndex + query.length
+			}
+			parts.push(text.slice(index))
+			textElement.replaceChildren(...parts)
+			cueElement.classList.toggle('match', parts.length > 1)
+			if (parts.length > 1) matches++
+		}
+		this.#matchIndex = -1
+		this.#matchCount.textContent = query ? `${matches} ${matches == 1 ? 'match' : 'matches'}` : ''
+	}
+
+	// Enter in the search box goes to the next matching cue
+	#scrollToNextMatch() {
+		const matches = this.#cueElements.filter(cueElement => cueElement.classList.contains('match'))
+		if (!matches.length) return
+		this.#matchIndex = (this.#matchIndex + 1) % matches.length
+		this.#scrollTo(matches[this.#matchIndex])
+	}
+
+	connectedCallback() {
+		this.#findPlayer()
+		this.#subscribe()
+		if (this.initialized) {
+			this.#renderCues()  // the cues might have changed while it was out of the page
+			return
+		}
+		this.initialized = true
+
+		const searchContainer = createElement('div', { class: 'transcript-search' })
+		this.#searchInput = createElement('input')
+		this.#searchInput.type = 'search'
+		this.#searchInput.placeholder = 'Search transcript'
+		this.#searchInput.addEventListener('input', () => this.#highlightMatches())
+		this.#searchInput.addEventListener('keydown', e => e.key == 'Enter' && this.#scrollToNextMatch())
+		this.#matchCount = createElement('span', { class: 'transcript-match-count' })
+		searchContainer.append(this.#searchInput, this.#matchCount)
+
+		this.#list = createElement('div', { class: 'transcript-cues' })
+		this.append(searchContainer, this.#list)
+		this.#renderCues()
+	}
+
+	disconnectedCallback() {
+		this.#unsubscribe()
+	}
+
+	attributeChangedCallback(name) {
+		if (name == 'for') this.#findPlayer()
+	}
+}
+
+class StardustPlayer extends HTMLElement {
+	static observedAttributes = [
+		'src', 'sub', 'playbackrate', 'chapters', 'thumbnails',
+		'autoplay', 'loop', 'poster', 'muted', 'preload', 'crossorigin', 'playsinline',
+		'mediatitle', 'mediaartist', 'mediaartwork', 'live', 'analytics', 'sync', 'audioonly', 'waveform', 'layout',
+		'options', ...Object.keys(defaultOptions).map(getOptionAttributeName),
+	]
+
+	initialized = false
+	#videoElement
+	#paused = true
+	#muted = false
+	#subtitles = false
+	#fullscreen = false
+	#pictureInPicture = false
+	#ended = false
+	#seekBarPreviewTimecode
+	#updateHideControls
+	#subtitleObjects
+	#subtitleFormat
+	#subtitleStyleElement
+	#subtitleMenus = []
+	#screenIsTouched = false
+
+	// Aliases for the HTML attribute,
+	// attributeChangedCallback below handles the changing
+	get src() { return this.getAttribute('src') }
+	set src(newValue) { this.setAttribute('src', newValue) }
+
+	get sub() { return this.getAttribute('sub') }
+	set sub(newValue) { this.setAttribute('sub', newValue) }
+
+	get autoplay() { return this.hasAttribute('autoplay') }
+	set autoplay(newValue) { this.toggleAttribute('autoplay', newValue) }
+
+	get loop() { return this.hasAttribute('loop') }
+	set loop(newValue) { this.toggleAttribute('loop', newValue) }
+
+	get poster() { return this.getAttribute('poster') }
+	set poster(newValue) { this.setAttribute('poster', newValue) }
+
+	// Like on video elements, the muted attribute is only the initial state
+	get defaultMuted() { return this.hasAttribute('muted') }
+	set defaultMuted(newValue) { this.toggleAttribute('muted', newValue) }
+
+	get preload() { return this.#videoElement.preload }
+	set preload(newValue) { this.setAttribute('preload', newValue) }
+
+	get crossOrigin() { return this.getAttribute('crossorigin') }
+	set crossOrigin(newValue) { newValue == null ? this.removeAttribute('crossorigin') : this.setAttribute('crossorigin', newValue) }
+
+	get playsInline() { return this.hasAttribute('playsinline') }
+	set playsInline(newValue) { this.toggleAttribute('playsinline', newValue) }
+
+	// Media element properties, these come from the inner video element
+	get currentTime() { return this.#videoElement.currentTime }
+	set currentTime(newValue) { this.#videoElement.currentTime = newValue }
+	get volume() { return this.#videoElement.volume }
+	set volume(newValue) { this.#videoElement.volume = newValue }
+	get duration() { return this.#videoElement.duration }
+	get ended() { return this.#videoElement.ended }
+	get seeking() { return this.#videoElement.seeking }
+	get buffered() { return this.#videoElement.buffered }
+	get seekable() { return this.#videoElement.seekable }
+	get played() { return this.#videoElement.played }
+	get readyState() { return this.#videoElement.readyState }
+	get networkState() { return this.#videoElement.networkState }
+	get error() { return this.#videoElement.error }
+	get currentSrc() { return this.#videoElement.currentSrc }
+	get videoWidth() { return this.#videoElement.videoWidth }
+	get videoHeight() { return this.#videoElement.videoHeight }
+	get defaultPlaybackRate() { return this.#videoElement.defaultPlaybackRate }
+	set defaultPlaybackRate(newValue) { this.#videoElement.defaultPlaybackRate = newValue }
+
+	canPlayType(type) {
+		const canPlayType = this.#videoElement.canPlayType(type)
+		if (canPlayType || typeof MediaSource == 'undefined') return canPlayType
+		// the built in source handlers
+		return /^application\/(vnd\.apple\.mpegurl|x-mpegurl|dash\+xml)$/i.test(type.split(';')[0].trim()) ? 'maybe' : ''
+	}
+	load() {
+		this.#cancelSeekBarPreviewImages()
+		this.#loadSource(this.src)
+	}
+	fastSeek(time) {
+		this.#videoElement.fastSeek ? this.#videoElement.fastSeek(time) : this.#videoElement.currentTime = time
+	}
+	getVideoPlaybackQuality() { return this.#videoElement.getVideoPlaybackQuality() }
+
+	// Pause
+	#updatePaused() {
+		const playPromise = this.#paused ? Promise.resolve(this.#videoElement.pause()) : this.#videoElement.play()
+		// playing can fail, e.g. when autoplay isn't allowed
+		playPromise.catch(() => {
+			if (!this.#videoElement.paused) return
+			this.#paused = true
+			this.classList.add('paused')
+			this.#updateControlStates()
+		})
+		this.classList.toggle('paused', this.#paused)
+		this.#updateHideControls?.()
+		this.#updateControlStates()
+		return playPromise
+	}
+	get paused() { return this.#paused }
+	set paused(newValue) { this.#paused = newValue; this.#updatePaused() }
+	togglePaused() { this.paused = !this.paused }
+	play() { this.#paused = false; return this.#updatePaused() }
+	pause() { this.paused = true }
+	// Mute
+	#updateMuted() {
+		this.#videoElement.muted = this.#muted
+		this.classList.toggle('muted', this.#muted)
+		this.#updateControlStates()
+	}
+	get muted() { return this.#muted }
+	set muted(newValue) { this.#muted = newValue; this.#updateMuted() }
+	toggleMute() { this.muted = !this.muted }
+	// Subtitles
+	#updateSubtitles() {
+		this.classList.toggle('subtitles', this.#subtitles)
+		this.#renderSubtitleMenus()
+		this.#updateControlStates()
+		this.#update()
+		this.#recordAnalyticsEvent('subtitles', { subtitles: this.#subtitles, track: this.#subtitleTracks[this.#subtitleTrack]?.label ?? null })
+	}
+	get subtitles() { return this.#subtitles }
+	set subtitles(newValue) { this.#subtitles = newValue; this.#updateSubtitles() }
+	toggleSubtitles() { this.subtitles = !this.subtitles }
+	// Subtitle track
+	#subtitleTracks = []
+	#subtitleTrack = -1
+	#subtitleTrackCache = new Map()
+	async #updateSubtitleTrack() {
+		const track = this.#subtitleTracks[this.#subtitleTrack]
+		this.#renderSubtitleMenus()
+		const event = new Event('subtitletrackchange')
+		event.track = track ? { ...track } : null
+		this.dispatchEvent(event)
+
+		this.#subtitleObjects = undefined
+		this.#subtitleIndex = createTimeIndex([])
+		this.#subtitleStyleElement.textContent = ''
+		this.#dispatchSubtitleCuesChange()
+		this.#update()
+		if (!track) return
+		if (!this.#subtitleTrackCache.has(track.src)) {
+			this.#subtitleTrackCache.set(track.src, fetchText(track.src).then(i => {
+				const subtitles = parseSubtitles(i, track.src)
+				if (subtitles.invalidBlocks.length) {
+					this.#dispatchError('subtitles', `Skipped ${subtitles.invalidBlocks.length} subtitle block(s) that couldn't be parsed in ${track.src}`, {
+						track: { ...track },
+						invalidBlocks: subtitles.invalidBlocks,
+					})
+				}
+				return subtitles
+			}))
+		}
+		let subtitles
+		try {
+			subtitles = await this.#subtitleTrackCache.get(track.src)
+		} catch (error) {
+			this.#subtitleTrackCache.delete(track.src)  // picking the track again tries again
+			if (this.#subtitleTracks[this.#subtitleTrack] != track) return
+			this.#dispatchError('subtitles', `The subtitles couldn't be loaded: ${error.message}`, { track: { ...track }, error })
+			this.#showIndicator('The subtitles couldn\'t be loaded')
+			return
+		}
+		const { format, cues, styles } = subtitles
+		if (this.#subtitleTracks[this.#subtitleTrack] != track) return  // another track was picked while this one loaded
+		this.#subtitleFormat = format
+		this.#subtitleObjects = cues
+		this.#subtitleIndex = createTimeIndex(cues)
+		this.#subtitleStyleElement.textContent = styles.map(css => scopeVTTStyles(css, ':host')).join('\n')
+		this.#dispatchSubtitleCuesChange()
+		this.#update()
+	}
+	// Subtitle cues, these are { start, end, text } with the formatting removed from the text
+	#subtitleCues
+	get subtitleCues() {
+		this.#subtitleCues ??= (this.#subtitleObjects ?? []).map(cue => this.#getPlainSubtitleCue(cue))
+		return this.#subtitleCues
+	}
+	// Made once per cue and only when they're needed, removing the formatting parses the markdown of SRT cues
+	#plainSubtitleCues = new WeakMap()
+	#getPlainSubtitleCue(cue) {
+		if (!this.#plainSubtitleCues.has(cue)) {
+			this.#plainSubtitleCues.set(cue, Object.freeze({ start: cue.start, end: cue.end, text: getCuePlainText(cue.text, this.#subtitleFormat) }))
+		}
+		return this.#plainSubtitleCues.get(cue)
+	}
+	#dispatchSubtitleCuesChange() {
+		this.#subtitleCues = undefined
+		this.dispatchEvent(new Event('subtitlecueschange'))
+	}
+	get subtitleTrack() { return this.#subtitleTrack }
+	set subtitleTrack(newValue) { this.#subtitleTrack = newValue; this.#updateSubtitleTrack() }
+	get subtitleTracks() { return this.#subtitleTracks.map(track => ({ ...track })) }
+	// Reads the tracks from the sub attribute and the <track> children
+	#updateSubtitleTracks() {
+		const tracks = []
+		if (this.sub) tracks.push({ src: new URL(this.sub, location.href).href, label: 'Subtitles', srclang: '', default: false })
+		for (const track of this.#playlistSubtitleTracks) {
+			tracks.push({ src: new URL(track.src, location.href).href, label: track.label || track.srclang || `Track ${tracks.length + 1}`, srclang: track.srclang ?? '', default: !!track.default })
+		}
+		for (const track of this.querySelectorAll(':scope > track')) {
+			if (track.kind != 'subtitles' && track.kind != 'captions') continue
+			tracks.push({ src: track.src, label: track.label || track.srclang || `Track ${tracks.length + 1}`, srclang: track.srclang, default: track.default })
+		}
+
+		const currentTrack = this.#subtitleTracks[this.#subtitleTrack]
+		const sameTracks = tracks.length == this.#subtitleTracks.length && tracks.every((track, i) => track.src == this.#subtitleTracks[i].src && track.label == this.#subtitleTracks[i].label)
+		this.#subtitleTracks = tracks
+		if (sameTracks) return
+
+		const currentTrackIndex = currentTrack ? tracks.findIndex(track => track.src == currentTrack.src) : -1
+		const defaultTrackIndex = tracks.findIndex(track => track.default)
+		if (!currentTrack && defaultTrackIndex >= 0) this.subtitles = true
+		this.subtitleTrack = currentTrackIndex >= 0 ? currentTrackIndex : (tracks.length ? Math.max(defaultTrackIndex, 0) : -1)
+	}
+	#renderSubtitleMenus() {
+		for (const button of this.shadowRoot.querySelectorAll('.subtitles-button')) {
+			// with a single track the button just toggles it
+			this.#subtitleTracks.length > 1 ? button.setAttribute('aria-haspopup', 'menu') : button.removeAttribute('aria-haspopup')
+		}
+		for (const menu of this.#subtitleMenus) {
+			menu.items = [
+				{ label: 'Off', value: -1, selected: !this.#subtitles },
+				...this.#subtitleTracks.map((track, i) => ({ label: track.label, value: i, selected: this.#subtitles && i == this.#subtitleTrack })),
+			]
+		}
+	}
+	// Subtitle offset, positive values delay the subtitles
+	#subtitleOffset = 0
+	get subtitleOffset() { return this.#subtitleOffset }
+	set subtitleOffset(newValue) { this.#subtitleOffset = newValue; this.#update() }
+	#selectSubtitleMenuItem(value) {
+		if (value < 0) {
+			this.subtitles = false
+			return
+		}
+		if (value != this.#subtitleTrack) this.subtitleTrack = value
+		this.subtitles = true
+	}
+	#createSubtitleCueElement(cue) {
+		if (this.#subtitleFormat != 'vtt') {
+			return createElement('div', { class: 'subtitle-cue', part: 'subtitle-cue', html: DOMPurify.sanitize(marked.parse(cue.text, { breaks: true })) })
+		}
+		const element = createElement('div', { class: 'subtitle-cue vtt-cue', part: 'subtitle-cue' })
+		element.append(renderVTTCueText(cue.text))
+		if (cue.settings.align) element.style.textAlign = cue.settings.align
+		if (['line', 'position', 'size', 'vertical'].some(setting => setting in cue.settings)) {
+			element.classList.add('positioned')
+			Object.assign(element.style, getVTTCueStyle(cue.settings))
+		}
+		return element
+	}
+	// Playback rate
+	#playbackRate = 1
+	#playbackRateMenus = []
+	#updatePlaybackRate() {
+		this.#videoElement.playbackRate = this.#playbackRate
+		this.#renderPlaybackRateMenus()
+	}
+	get playbackRate() { return this.#playbackRate }
+	set playbackRate(newValue) { this.#playbackRate = clamp(0.0625, newValue, 16); this.#updatePlaybackRate() }
+	get preservesPitch() { return this.#videoElement.preservesPitch }
+	set preservesPitch(newValue) { this.#videoElement.preservesPitch = newValue }
+	// For changes made with the controls, these are remembered for next time
+	#setPlaybackRateFromControls(playbackRate) {
+		this.playbackRate = playbackRate
+		this.#showIndicator(`${this.#playbackRate}x`)
+		if (!this.options.persistPlaybackRate) return
+		try {
+			localStorage.setItem('stardust-player-playback-rate', this.#playbackRate)
+		} catch {}  // storage can be unavailable, e.g. in sandboxed iframes
+	}
+	#restorePlaybackRate() {
+		if (!this.options.persistPlaybackRate || this.hasAttribute('playbackrate')) return
+		try {
+			const playbackRate = parseFloat(localStorage.getItem('stardust-player-playback-rate'))
+			if (playbackRate) this.playbackRate = playbackRate
+		} catch {}
+	}
+	#stepPlaybackRate(direction) {
+		const rates = this.options.playbackRates
+		const playbackRate = direction > 0 ? rates.find(rate => rate > this.#playbackRate) : rates.findLast(rate => rate < this.#playbackRate)
+		if (playbackRate) this.#setPlaybackRateFromControls(playbackRate)
+	}
+	#renderPlaybackRateMenus() {
+		const isPreset = this.options.playbackRates.includes(this.#playbackRate)
+		for (const menu of this.#playbackRateMenus) {
+			const customInput = menu.querySelector('input') ?? createElement('input')
+			customInput.type = 'number'
+			customInput.min = 0.0625
+			customInput.max = 16
+			customInput.step = 0.05
+			customInput.value = this.#playbackRate
+			customInput.onchange = () => parseFloat(customInput.value) && this.#setPlaybackRateFromControls(parseFloat(customInput.value))
+			// don't let typing in the input trigger the keyboard shortcuts
+			customInput.onkeydown = e => e.stopPropagation()
+			const customItem = createElement('label', { class: isPreset ? 'menu-item menu-custom' : 'menu-item menu-custom selected', text: 'Custom' })
+			customItem.append(customInput)
+
+			menu.items = [
+				...this.options.playbackRates.map(rate => ({ label: rate == 1 ? 'Normal' : `${rate}x`, value: rate, selected: rate == this.#playbackRate })),
+				{ element: customItem },
+			]
+		}
+	}
+	// Chapters
+	#chapters = []
+	#chapterTrackSrc
+	#currentChapter = null
+	#seekBars = []
+	#chapterIndex = createTimeIndex([])
+	#updateChapters() {
+		this.#chapterIndex = createTimeIndex(this.#chapters)
+		for (const seekBar of this.#seekBars) seekBar.chapters = this.#chapters
+		this.#update()
+	}
+	get chapters() { return this.#chapters }
+	set chapters(newValue) {
+		// chapters without an end last until the next one starts (or the video ends)
+		const chapters = [ ...newValue ].sort((a, b) => a.start - b.start)
+		this.#chapters = chapters.map((chapter, i) => ({ start: chapter.start, end: chapter.end ?? chapters[i + 1]?.start ?? Infinity, title: chapter.title ?? '' }))
+		this.#updateChapters()
+	}
+	get currentChapter() { return this.#currentChapter }
+	// Reads the chapters from the chapters attribute or a <track kind="chapters"> child, both should be WebVTT files
+	#updateChapterTrack() {
+		const src = this.getAttribute('chapters') ?? this.querySelector(':scope > track[kind="chapters"]')?.src
+		if (src == this.#chapterTrackSrc) return
+		this.#chapterTrackSrc = src
+		if (!src) {
+			this.chapters = []
+			return
+		}
+		fetchText(src).then(i => {
+			if (src != this.#chapterTrackSrc) return  // changed while loading
+			this.chapters = parseVTT(i).cues.map(cue => ({ start: cue.start, end: cue.end, title: getCuePlainText(cue.text, 'vtt') }))
+		}).catch(error => {
+			if (src != this.#chapterTrackSrc) return
+			this.#dispatchError('chapters', `The chapters couldn't be loaded: ${error.message}`, { error })
+		})
+	}
+	nextChapter() {
+		const chapter = this.#chapters.find(chapter => chapter.start > this.#videoElement.currentTime)
+		if (chapter) this.#videoElement.currentTime = chapter.start
+	}
+	previousChapter() {
+		const index = this.#chapters.findLastIndex(chapter => this.#videoElement.currentTime >= chapter.start)
+		// a few seconds into a chapter, go back to its start instead
+		const chapter = this.#videoElement.currentTime - this.#chapters[index]?.start > 3 ? this.#chapters[index] : this.#chapters[Math.max(index - 1, 0)]
+		if (chapter) this.#videoElement.currentTime = chapter.start
+	}
+	// Source handlers (for HLS, DASH, etc.), the ones registered here are used before the built in ones
+	static registerSourceHandler(handler) { sourceHandlers.unshift(handler) }
+	#sourceHandler = null
+	#suspendedSource = null  // { time, quality } of a stream that was unloaded when the player left the page
+	#qualityMenus = []
+	#loadSource(src) {
+		this.#sourceHandler?.destroy()
+		this.#sourceHandler = null
+		this.#suspendedSource = null
+		const handler = src && sourceHandlers.find(handler => handler.canHandle(src, this.#videoElement))
+		if (handler) {
+			const sourceHandler = handler.create(this.#videoElement, src)
+			this.#sourceHandler = sourceHandler
+			sourceHandler.addEventListener('qualitieschange', () => sourceHandler == this.#sourceHandler && this.#renderQualityMenus())
+			sourceHandler.addEventListener('qualitychange', () => {
+				if (sourceHandler != this.#sourceHandler) return
+				this.#renderQualityMenus()
+				const event = new Event('qualitychange')
+				event.quality = this.quality
+				event.activeQuality = this.activeQuality
+				this.dispatchEvent(event)
+			})
+			sourceHandler.addEventListener('error', e => {
+				if (sourceHandler != this.#sourceHandler) return
+				this.#showError('The stream couldn\'t be played')
+				this.#dispatchError('video', e.error?.message ?? 'The stream couldn\'t be played', { error: e.error })
+			})
+		} else {
+			this.#videoElement.src = src
+		}
+		this.#renderQualityMenus()
+	}
+	// Source handlers keep loading segments, so they're unloaded while the player isn't in the page and the stream is
+	// loaded again at the same time and quality when it comes back (live streams start at live again)
+	#suspendSource() {
+		if (!this.#sourceHandler) return
+		this.#suspendedSource = { time: this.#videoElement.currentTime, quality: this.quality }
+		this.#sourceHandler.destroy()
+		this.#sourceHandler = null
+	}
+	#resumeSource() {
+		if (!this.#suspendedSource) return
+		const { time, quality } = this.#suspendedSource
+		this.#loadSource(this.src)
+		this.quality = quality
+		if (!this.#live) this.#videoElement.addEventListener('loadedmetadata', () => this.#videoElement.currentTime = time, { once: true })
+	}
+
+	// Qualities are { width, height, bitrate, label }, quality is an index into them or -1 for automatic
+	get qualities() { return this.#sourceHandler?.qualities ?? [] }
+	get quality() { return this.#sourceHandler?.quality ?? -1 }
+	set quality(newValue) { if (this.#sourceHandler) this.#sourceHandler.quality = newValue }
+	// The quality that's actually playing, which automatic quality picks
+	get activeQuality() { return this.#sourceHandler?.activeQuality ?? -1 }
+	#renderQualityMenus() {
+		const qualities = this.qualities
+		this.classList.toggle('has-qualities', qualities.length > 1)
+		const activeLabel = qualities[this.activeQuality]?.label
+		for (const menu of this.#qualityMenus) {
+			menu.items = [
+				{ label: activeLabel ? `Auto (${activeLabel})` : 'Auto', value: -1, selected: this.quality < 0 },
+				...qualities
+					.map((quality, i) => ({ label: quality.label, value: i, selected: this.quality == i, bitrate: quality.bitrate }))
+					.sort((a, b) => b.bitrate - a.bitrate),
+			]
+		}
+	}
+	// Fullscreen
+	async #updateFullscreen() {
+		if (this.#fullscreen) {
+			await this.requestFullscreen()
+			screen.orientation.lock('landscape')
+		} else {
+			document.fullscreenElement && document.exitFullscreen()
+			screen.orientation.unlock()
+		}
+		this.classList.toggle('fullscreen', this.#fullscreen) 
+		this.#updateControlStates()
+		this.#recordAnalyticsEvent('fullscreen', { fullscreen: this.#fullscreen })
+	}
+	get fullscreen() { return this.#fullscreen }
+	set fullscreen(newValue) { this.#fullscreen = newValue; this.#updateFullscreen() }
+	toggleFullscreen() { this.fullscreen = !this.fullscreen }
+	// Picture-in-picture
+	async #updatePictureInPicture() {
+		try {
+			if (this.#pictureInPicture) {
+				if (document.pictureInPictureElement != this.#videoElement) await this.#videoElement.requestPictureInPicture()
+			} else if (document.pictureInPictureElement == this.#videoElement) {
+				await document.exitPictureInPicture()
+			}
+		} catch {
+			// not supported, or not allowed right now (it needs a user gesture)
+			this.#pictureInPicture = document.pictureInPictureElement == this.#videoElement
+			this.#updateControlStates()
+		}
+	}
+	get pictureInPicture() { return this.#pictureInPicture }
+	set pictureInPicture(newValue) { this.#pictureInPicture = newValue; this.#updatePictureInPicture() }
+	togglePictureInPicture() { this.pictureInPicture = !this.pictureInPicture }
+	#pictureInPictureChanged() {
+		this.#pictureInPicture = document.pictureInPictureElement == this.#videoElement
+		this.classList.toggle('picture-in-picture', this.#pictureInPicture)
+		this.#updateControlStates()
+		const event = new Event('pictureinpicturechange')
+		event.pictureInPicture = this.#pictureInPicture
+		this.dispatchEvent(event)
+	}
+
+	/* --------------------------------- Options -------------------------------- */
+
+	// The defaults, then the options attribute, then data- attributes, then what was set from js. Setting any of them
+	// applies the change right away, only objects inside options (like keymap) have to be replaced instead of changed
+	#resolvedOptions = structuredClone(defaultOptions)
+	#scriptOptions = {}
+	#optionsProxy = new Proxy(this.#resolvedOptions, {
+		set: (options, name, value) => {
+			this.#scriptOptions[name] = value
+			this.#updateOptions()
+			return true
+		},
+	})
+	get options() { return this.#optionsProxy }
+	set options(newValue) { this.#scriptOptions = { ...newValue }; this.#updateOptions() }
+
+	#updateOptions() {
+		let attributeOptions = {}
+		try {
+			attributeOptions = JSON.parse(this.getAttribute('options') ?? '{}')
+		} catch (error) {
+			this.#dispatchError('options', `The options attribute isn't valid JSON: ${error.message}`, { error })
+		}
+		const dataOptions = {}
+		for (const name of Object.keys(defaultOptions)) {
+			const value = this.getAttribute(getOptionAttributeName(name))
+			if (value != null) dataOptions[name] = parseOptionValue(value)
+		}
+		const previous = { ...this.#resolvedOptions }
+		Object.assign(this.#resolvedOptions, structuredClone(defaultOptions), attributeOptions, dataOptions, this.#scriptOptions)
+		// the defaults are new copies every time, so objects are compared by their contents
+		const changed = name => JSON.stringify(previous[name]) !== JSON.stringify(this.#resolvedOptions[name])
+
+		// most options are read when they're used, these are the ones that were used to set something up
+		if (changed('seekStep')) for (const seekBar of this.#seekBars) seekBar.step = this.options.seekStep
+		if (changed('playbackRates')) this.#renderPlaybackRateMenus()
+		if (changed('hideControlsTimeout') || changed('hideControlsTimeoutMobile')) this.#updateHideControls?.()
+		if (changed('mobileLayoutMaxWidth')) this.#updateLayout()
+		if (changed('liveEdgeTolerance')) this.#update()
+		if (changed('waveformMaxDuration')) this.#updateWaveform()
+		if ((changed('previewImageMaxSize') || changed('previewImageIterations')) && this.#videoElement.readyState >= 2) this.#renderSeekBarPreviewImages()
+		if (changed('analyticsInterval') && this.#analytics) this.#updateAnalytics()
+		if (changed('syncInterval') && this.#sync) {
+			clearInterval(this.#sync.interval)
+			this.#sync.interval = setInterval(() => this.#sendSyncHeartbeat(), this.options.syncInterval * 1000)
+		}
+	}
+
+	/* --------------------------------- Layout --------------------------------- */
+
+	// 'auto' (the default), 'desktop' or 'mobile', auto uses the mobile layout for touch and for narrow players
+	get layout() { return this.getAttribute('layout') ?? 'auto' }
+	set layout(newValue) { this.setAttribute('layout', newValue) }
+
+	#lastPointerType = null
+	#updateLayoutOnQueryChange = () => this.#updateLayout()
+
+	#updateLayout() {
+		const layout = this.layout
+		const touch = this.#lastPointerType ? this.#lastPointerType == 'touch' : coarsePointerQuery.matches
+		const narrow = this.isConnected && this.getBoundingClientRect().width <= this.options.mobileLayoutMaxWidth
+		const mobile = layout == 'mobile' || (layout != 'desktop' && (touch || narrow))
+		if (mobile == this.classList.contains('mobile')) return
+		this.classList.toggle('mobile', mobile)
+		this.#updateHideControls?.()
+		const event = new Event('layoutchange')
+		event.layout = mobile ? 'mobile' : 'desktop'
+		this.dispatchEvent(event)
+	}
+
+	/* ---------------------------------- Audio --------------------------------- */
+
+	// The video's audio only goes through Web Audio once something needs it, it can't be taken out again after that
+	#audioGraph = null
+	#audioMenus = []
+	#audioUnavailable = false  // Web Audio can't get the current source's sound
+	#audioErrorSrc = null
+	#volumeBoost = 1
+	#nightMode = false
+	#mono = false
+	#equalizer = equalizerFrequencies.map(() => 0)
+
+	#updateAudio() {
+		const enhanced = this.#volumeBoost != 1 || this.#nightMode || this.#mono || this.#equalizer.some(gain => gain)
+		// without CORS the browser only gives Web Audio silence, this is checked for every source since the graph stays
+		const src = this.#videoElement.currentSrc || this.#videoElement.src
+		const url = src && new URL(src, location.href)
+		this.#audioUnavailable = Boolean(url) && url.protocol != 'data:' && url.origin != location.origin && this.#videoElement.crossOrigin == null
+		if (this.#audioUnavailable && (enhanced || this.#audioGraph) && this.#audioErrorSrc != src) {
+			this.#audioErrorSrc = src
+			this.#dispatchError('audio', this.#audioGraph
+				? 'Videos from other origins are silent without CORS and the crossorigin attribute once the audio settings were used'
+				: 'The audio settings can\'t be used for videos from other origins without CORS and the crossorigin attribute')
+		}
+		if (enhanced && !this.#audioGraph && !this.#audioUnavailable) this.#createAudioGraph()
+		const graph = this.#audioGraph
+		if (graph) {
+			// the compressor makes everything quieter, so night mode makes it louder again
+			graph.boost.gain.value = this.#volumeBoost * (this.#nightMode ? 2 : 1)
+			graph.filters.forEach((filter, i) => filter.gain.value = this.#equalizer[i])
+			// a node with one channel mixes stereo down, the speakers get it on both sides again
+			graph.input.channelCount = this.#mono ? 1 : 2
+			graph.input.channelCountMode = this.#mono ? 'explicit' : 'max'
+			const lastFilter = graph.filters.at(-1)
+			lastFilter.disconnect()
+			graph.compressor.disconnect()
+			if (this.#nightMode) {
+				lastFilter.connect(graph.compressor).connect(graph.boost)
+			} else {
+				lastFilter.connect(graph.boost)
+			}
+		}
+		this.#renderAudioMenus()
+	}
+	#createAudioGraph() {
+		if (!this.#videoElement.currentSrc && !this.#videoElement.src) return  // loadstart tries again
+		try {
+			const context = new AudioContext()
+			const source = context.createMediaElementSource(this.#videoElement)
+			const input = context.createGain()
+			input.channelInterpretation = 'speakers'
+			const filters = equalizerFrequencies.map((frequency, i) => new BiquadFilterNode(context, {
+				type: i == 0 ? 'lowshelf' : i == equalizerFrequencies.length - 1 ? 'highshelf' : 'peaking',
+				frequency,
+				Q: 1,
+			}))
+			const compressor = new DynamicsCompressorNode(context, { threshold: -30, knee: 20, ratio: 8, attack: 0.005, release: 0.3 })
+			const boost = context.createGain()
+			source.connect(input)
+			filters.reduce((previous, filter) => previous.connect(filter), input)
+			boost.connect(context.destination)
+			this.#audioGraph = { context, input, filters, compressor, boost }
+			// it starts suspended without a user gesture, playing or using the controls resumes it
+			if (!this.#videoElement.paused) context.resume()
+		} catch (error) {
+			this.#dispatchError('audio', `The audio settings couldn't be applied: ${error.message}`, { error })
+		}
+	}
+
+	#resumeAudio() {
+		if (this.#audioGraph?.context.state == 'suspended') this.#audioGraph.context.resume()
+	}
+
+	// 1 is normal, up to 4 times as loud
+	get volumeBoost() { return this.#volumeBoost }
+	set volumeBoost(newValue) { this.#volumeBoost = clamp(1, newValue, 4); this.#updateAudio() }
+	// Compresses the dynamic range, quiet voices get louder and explosions quieter
+	get nightMode() { return this.#nightMode }
+	set nightMode(newValue) { this.#nightMode = Boolean(newValue); this.#updateAudio() }
+	// Both channels mixed together and played on both sides
+	get mono() { return this.#mono }
+	set mono(newValue) { this.#mono = Boolean(newValue); this.#updateAudio() }
+	// The gain in dB (-12 to 12) of each of StardustPlayer.equalizerFrequencies
+	get equalizer() { return [ ...this.#equalizer ] }
+	set equalizer(newValue) { this.#equalizer = equalizerFrequencies.map((_, i) => clamp(-12, Number(newValue?.[i]) || 0, 12)); this.#updateAudio() }
+	static get equalizerFrequencies() { return [ ...equalizerFrequencies ] }
+
+	get audioSettings() { return { volumeBoost: this.#volumeBoost, nightMode: this.#nightMode, mono: this.#mono, equalizer: this.equalizer } }
+	resetAudioSettings() { this.#setAudioFromControls({ volumeBoost: 1, nightMode: false, mono: false, equalizer: [] }) }
+
+	// Like the playback rate, changes made with the controls are remembered for next time
+	#setAudioFromControls(settings) {
+		for (const [ key, value ] of Object.entries(settings)) {
+			if (key == 'volumeBoost') this.#volumeBoost = clamp(1, value, 4)
+			if (key == 'nightMode') this.#nightMode = Boolean(value)
+			if (key == 'mono') this.#mono = Boolean(value)
+			if (key == 'equalizer') this.#equalizer = equalizerFrequencies.map((_, i) => clamp(-12, Number(value[i]) || 0, 12))
+		}
+		this.#updateAudio()
+		this.#resumeAudio()
+		if (!this.options.persistAudioSettings) return
+		try {
+			localStorage.setItem('stardust-player-audio', JSON.stringify(this.audioSettings))
+		} catch {}
+	}
+	#restoreAudioSettings() {
+		if (!this.options.persistAudioSettings) return
+		try {
+			const settings = JSON.parse(localStorage.getItem('stardust-player-audio'))
+			if (!settings) return
+			this.#volumeBoost = clamp(1, Number(settings.volumeBoost) || 1, 4)
+			this.#nightMode = Boolean(settings.nightMode)
+			this.#mono = Boolean(settings.mono)
+			this.#equalizer = equalizerFrequencies.map((_, i) => clamp(-12, Number(settings.equalizer?.[i]) || 0, 12))
+			this.#updateAudio()
+		} catch {}
+	}
+
+	// The inputs are made once per menu and only their values change, so dragging a slider doesn't lose focus
+	#renderAudioMenus() {
+		for (const menu of this.#audioMenus) {
+			if (!menu.items.length) menu.items = this.#createAudioMenuItems().map(element => ({ element }))
+			menu.querySelector('.audio-unavailable').hidden = !this.#audioUnavailable
+			menu.querySelectorAll('input, button').forEach(control => control.disabled = this.#audioUnavailable)
+			const boost = menu.querySelector('.volume-boost')
+			boost.querySelector('input').value = Math.round(this.#volumeBoost * 100)
+			boost.querySelector('output').textContent = `${Math.round(this.#volumeBoost * 100)}%`
+			menu.querySelector('.night-mode input').checked = this.#nightMode
+			menu.querySelector('.mono input').checked = this.#mono
+			menu.querySelectorAll('.equalizer-band').forEach((band, i) => {
+				band.querySelector('input').value = this.#equalizer[i]
+				band.querySelector('output').textContent = `${this.#equalizer[i] > 0 ? '+' : ''}${this.#equalizer[i]} dB`
+			})
+		}
+	}
+	#createAudioMenuItems() {
+		const createInput = (type, properties, onInput) => {
+			const input = createElement('input')
+			Object.assign(input, { type, ...properties })
+			input.addEventListener('input', () => onInput(input))
+			// arrow keys move the sliders, not the video
+			input.addEventListener('keydown', e => e.key != 'Escape' && e.stopPropagation())
+			return input
+		}
+		const createSlider = (className, label, properties, onInput) => createElement('label', { class: `menu-item menu-custom menu-slider ${className}`, children: [
+			createElement('span', { text: label }),
+			createElement('output'),
+			createInput('range', properties, onInput),
+		] })
+		const createToggle = (className, label, onInput) => createElement('label', { class: `menu-item menu-custom ${className}`, children: [
+			createElement('span', { text: label }),
+			createInput('checkbox', {}, onInput),
+		] })
+		const resetButton = createElement('button', { class: 'menu-item', part: 'menu-item', text: 'Reset' })
+		resetButton.setAttribute('role', 'menuitem')
+		resetButton.addEventListener('click', () => this.resetAudioSettings())
+		return [
+			createElement('div', { class: 'menu-heading audio-unavailable', text: 'Not available for this video' }),
+			createSlider('volume-boost', 'Volume boost', { min: 100, max: 400, step: 10 }, input => this.#setAudioFromControls({ volumeBoost: input.value / 100 })),
+			createToggle('night-mode', 'Night mode', input => this.#setAudioFromControls({ nightMode: input.checked })),
+			createToggle('mono', 'Mono', input => this.#setAudioFromControls({ mono: input.checked })),
+			createElement('div', { class: 'menu-heading', text: 'Equalizer' }),
+			...equalizerFrequencies.map((frequency, i) => createSlider(
+				'equalizer-band',
+				frequency < 1000 ? `${frequency} Hz` : `${frequency / 1000} kHz`,
+				{ min: -12, max: 12, step: 1 },
+				input => this.#setAudioFromControls({ equalizer: this.#equalizer.with(i, Number(input.value)) }),
+			)),
+			resetButton,
+		]
+	}
+
+	/* ------------------------------- Audio Only ------------------------------- */
+
+	// Audio files get a compact layout with the artwork, title and artist instead of an empty video, the audioonly
+	// attribute turns it on before the metadata has loaded
+	#audioOnly = false
+	#audioInfo = null
+	#peaks = null
+	#waveformSrc = null  // what the peaks are from, the waveform attribute's url or the src that's decoded
+	#waveformAbortController = null
+
+	get audioOnly() { return this.#audioOnly }
+
+	#updateAudioOnly() {
+		const video = this.#videoElement
+		const src = video.currentSrc || video.src
+		const audioOnly = this.hasAttribute('audioonly') || (video.readyState >= HTMLMediaElement.HAVE_METADATA
+			? !video.videoWidth
+			: Boolean(src) && audioFileExtensions.test(new URL(src, location.href).pathname))
+		if (audioOnly != this.#audioOnly) {
+			this.#audioOnly = audioOnly
+			this.classList.toggle('audio-only', audioOnly)
+			// there are no frames for preview images
+			if (audioOnly) this.#cancelSeekBarPreviewImages()
+			else if (video.readyState >= 2) this.#renderSeekBarPreviewImages()
+			this.#updateHideControls?.()
+		}
+		this.#updateWaveform()
+	}
+
+	// Precomputed peaks from the waveform attribute, or decoded from the audio once the duration says it's short enough
+	#updateWaveform() {
+		const video = this.#videoElement
+		const peaksSrc = this.getAttribute('waveform')
+		const canDecode = !this.#sourceHandler && !this.#live && video.readyState >= HTMLMediaElement.HAVE_METADATA
+			&& video.duration <= this.options.waveformMaxDuration
+		const waveformSrc = !this.#audioOnly ? null : peaksSrc || (canDecode ? video.currentSrc : null)
+		if (waveformSrc == this.#waveformSrc) return
+		this.#waveformSrc = waveformSrc
+		this.#waveformAbortController?.abort()
+		this.#setPeaks(null)
+		if (!waveformSrc) return
+
+		const abortController = new AbortController()
+		const { signal } = abortController
+		this.#waveformAbortController = abortController
+		const peaks = peaksSrc
+			? fetchText(peaksSrc, signal).then(text => parsePeaks(JSON.parse(text)))
+			: decodePeaks(waveformSrc, 50, signal)
+		peaks.then(peaks => {
+			if (!signal.aborted) this.#setPeaks(peaks)
+		}).catch(error => {
+			if (signal.aborted) return
+			this.#dispatchError('waveform', `The waveform couldn't be loaded: ${error.message}`, { error })
+		})
+	}
+	#setPeaks(peaks) {
+		this.#peaks = peaks
+		for (const seekBar of this.#seekBars) seekBar.peaks = peaks
+	}
+
+	#renderAudioInfo() {
+		if (!this.#audioInfo) return
+		const { title, artist, artwork } = this.#getMediaMetadata()
+		this.#audioInfo.title.textContent = title
+		this.#audioInfo.artist.textContent = artist
+		this.#audioInfo.artwork.hidden = !artwork
+		if (artwork) this.#audioInfo.artwork.src = artwork
+	}
+
+	/* ---------------------------------- Live ---------------------------------- */
+
+	#live = false
+
+	// Live mode is on for streams without an end (their duration is Infinity) or with the live attribute,
+	// the seek bar then covers the DVR window and the time shows how far behind live it is
+	#updateLive() {
+		const live = this.hasAttribute('live') || this.#videoElement.duration == Infinity
+		if (live == this.#live) return
+		this.#live = live
+		this.classList.toggle('live', live)
+		for (const seekBar of this.#seekBars) seekBar.live = live
+		// the frames would be generated from a second copy of the stream
+		if (live) this.#cancelSeekBarPreviewImages()
+		else if (this.#videoElement.readyState >= 2) this.#renderSeekBarPreviewImages()
+		this.#update()
+	}
+	get live() { return this.#live }
+	set live(newValue) { this.toggleAttribute('live', newValue) }
+
+	// How many seconds behind the live edge (the end of the seekable window) it's playing
+	get liveLatency() {
+		if (!this.#live) return 0
+		const { end } = getSeekRange(this.#videoElement, true)
+		return Number.isFinite(end) ? Math.max(0, end - this.#videoElement.currentTime) : 0
+	}
+	get atLiveEdge() { return this.#live && this.liveLatency <= this.options.liveEdgeTolerance }
+
+	goLive() {
+		const { end } = getSeekRange(this.#videoElement, true)
+		if (Number.isFinite(end)) this.#videoElement.currentTime = end
+		this.play()
+	}
+
+	/* -------------------------------- Playlist -------------------------------- */
+
+	#playlist = []
+	#playlistIndex = -1
+	#playlistOrder = []  // the indices in the order they're played in, shuffled when shuffle is on
+	#playlistSubtitleTracks = []
+	#shuffle = false
+	#repeat = 'none'
+	#upNext
+	#upNextInterval
+
+	// Items are { src, subtitles?, title?, poster? }, subtitles can be a url or a list of { src, label, srclang, default }
+	get playlist() { return this.#playlist }
+	set playlist(newValue) {
+		this.#playlist = [ ...newValue ]
+		this.#playlistIndex = -1
+		this.#updatePlaylistOrder()
+		if (this.#playlist.length) this.#loadPlaylistItem(this.#playlistOrder[0])
+		else this.#dispatchPlaylistChange()
+	}
+	get playlistIndex() { return this.#playlistIndex }
+	set playlistIndex(newValue) { this.playIndex(newValue) }
+
+	#updateShuffle() {
+		this.#updatePlaylistOrder()
+		this.#dispatchPlaylistChange()
+	}
+	get shuffle() { return this.#shuffle }
+	set shuffle(newValue) { this.#shuffle = newValue; this.#updateShuffle() }
+
+	// 'none', 'all' (go back to the start after the last item) or 'one' (repeat the current item)
+	#updateRepeat() {
+		this.#dispatchPlaylistChange()
+	}
+	get repeat() { return this.#repeat }
+	set repeat(newValue) { this.#repeat = newValue; this.#updateRepeat() }
+
+	#updatePlaylistOrder() {
+		const indices = this.#playlist.map((item, i) => i)
+		if (this.#shuffle) {
+			for (let i = indices.length - 1; i > 0; i--) {
+				const j = Math.floor(Math.random() * (i + 1))
+				;[ indices[i], indices[j] ] = [ indices[j], indices[i] ]
+			}
+			// the current item stays first, so everything else is still to come
+			if (this.#playlistIndex >= 0) {
+				indices.splice(indices.indexOf(this.#playlistIndex), 1)
+				indices.unshift(this.#playlistIndex)
+			}
+		}
+		this.#playlistOrder = indices
+	}
+
+	// Returns the index of the item before (-1) or after (1) the current one, or -1 if there isn't one
+	#getAdjacentPlaylistIndex(direction) {
+		if (!this.#playlist.length) return -1
+		const position = this.#playlistOrder.indexOf(this.#playlistIndex) + direction
+		if (position >= 0 && position < this.#playlistOrder.length) return this.#playlistOrder[position]
+		if (this.#repeat != 'all') return -1
+		return this.#playlistOrder.at(direction > 0 ? 0 : -1)
+	}
+
+	#dispatchPlaylistChange() {
+		this.classList.toggle('has-playlist', this.#playlist.length > 0)
+		this.classList.toggle('has-previous', this.#getAdjacentPlaylistIndex(-1) >= 0)
+		this.classList.toggle('has-next', this.#getAdjacentPlaylistIndex(1) >= 0)
+		const event = new Event('playlistchange')
+		event.playlist = this.#playlist
+		event.index = this.#playlistIndex
+		event.item = this.#playlist[this.#playlistIndex] ?? null
+		event.shuffle = this.#shuffle
+		event.repeat = this.#repeat
+		this.dispatchEvent(event)
+		this.#updateMediaSession()
+	}
+
+	#loadPlaylistItem(index) {
+		const item = this.#playlist[index]
+		if (!item) return
+		this.#hideUpNext()
+		this.#playlistIndex = index
+		this.#playlistSubtitleTracks = typeof item.subtitles == 'string' ? [ { src: item.subtitles, label: 'Subtitles' } ] : item.subtitles ?? []
+		this.#videoElement.poster = item.poster ?? this.poster ?? ''
+		this.src = item.src
+		this.#updateSubtitleTracks()
+		this.#dispatchPlaylistChange()
+	}
+
+	playIndex(index) {
+		if (!this.#playlist[index]) return
+		this.#loadPlaylistItem(index)
+		this.paused = false
+	}
+	next() {
+		const index = this.#getAdjacentPlaylistIndex(1)
+		if (index >= 0) this.playIndex(index)
+	}
+	previous() {
+		// like most players, restart the current item unless it just started
+		const index = this.#getAdjacentPlaylistIndex(-1)
+		if (this.#videoElement.currentTime > 3 || index < 0) this.#videoElement.currentTime = 0
+		else this.playIndex(index)
+	}
+
+	#playlistItemEnded() {
+		if (this.#playlistIndex < 0) return
+		if (this.#repeat == 'one') {
+			this.#videoElement.currentTime = 0
+			this.paused = false
+			return
+		}
+		const index = this.#getAdjacentPlaylistIndex(1)
+		if (index >= 0 && this.options.playlistAutoplay) this.#showUpNext(index)
+	}
+
+	// Counts down before playing the next item, the viewer can skip the wait or cancel it
+	#showUpNext(index) {
+		if (!this.#upNext) return
+		let remaining = this.options.upNextCountdown
+		const updateCountdown = () => this.#upNext.countdown.textContent = `Playing in ${remaining}`
+		this.#upNext.title.textContent = this.#playlist[index].title ?? ''
+		this.#upNext.playNowButton.onclick = () => this.playIndex(index)
+		updateCountdown()
+		this.#upNext.element.classList.add('visible')
+		clearInterval(this.#upNextInterval)
+		this.#upNextInterval = setInterval(() => {
+			remaining--
+			if (remaining > 0) updateCountdown()
+			else this.playIndex(index)
+		}, 1000)
+	}
+	#hideUpNext() {
+		clearInterval(this.#upNextInterval)
+		this.#upNext?.element.classList.remove('visible')
+	}
+
+	/* -------------------------------- A-B Loop -------------------------------- */
+
+	#loopRange = null
+
+	// { start, end } or null, playback jumps back to start when it gets to end until clearLoop() is called
+	get loopRange() { return this.#loopRange && { ...this.#loopRange } }
+	setLoop(start, end) {
+		const { duration } = this.#videoElement
+		const range = { start: Math.max(0, Math.min(start, end)), end: Math.max(start, end) }
+		// too short loops are made longer, backwards from the end of the video if they're at it
+		if (range.end - range.start < minLoopLength) {
+			range.end = Math.min(range.start + minLoopLength, Number.isFinite(duration) ? duration : Infinity)
+			range.start = Math.max(0, range.end - minLoopLength)
+		}
+		this.#loopRange = range
+		this.#updateLoopRange()
+	}
+	clearLoop() {
+		this.#loopRange = null
+		this.#updateLoopRange()
+	}
+
+	#updateLoopRange() {
+		for (const seekBar of this.#seekBars) seekBar.loopRange = this.#loopRange
+		this.#update()
+		const event = new Event('looprangechange')
+		event.loopRange = this.loopRange
+		this.dispatchEvent(event)
+	}
+
+	// For the keyboard shortcuts and the context menu, the other marker stays where it is if it can
+	#setLoopStart(time) {
+		if (!Number.isFinite(this.#videoElement.duration)) return
+		this.setLoop(time, this.#loopRange?.end > time ? this.#loopRange.end : this.#videoElement.duration)
+		this.#showIndicator(`Loop: ${formatTime(this.#loopRange.start)} - ${formatTime(this.#loopRange.end)}`)
+	}
+	#setLoopEnd(time) {
+		if (!Number.isFinite(this.#videoElement.duration)) return
+		this.setLoop(this.#loopRange?.start < time ? this.#loopRange.start : 0, time)
+		this.#showIndicator(`Loop: ${formatTime(this.#loopRange.start)} - ${formatTime(this.#loopRange.end)}`)
+	}
+
+	/* ------------------------------- Time Links ------------------------------- */
+
+	// Pages opened with #t=90 or ?t=1m30s start the video there
+	#seekToLinkStartTime() {
+		if (!this.options.timeLinks) return
+		const time = getLinkStartTime(location.href)
+		if (time == null) return
+		const seek = () => this.#videoElement.currentTime = time
+		this.#videoElement.readyState >= HTMLMediaElement.HAVE_METADATA ? seek() : this.#videoElement.addEventListener('loadedmetadata', seek, { once: true })
+	}
+
+	// A link to this page that starts the video at time
+	getTimeLink(time = this.#videoElement.currentTime) {
+		const url = new URL(location.href)
+		// other #key=value parameters are kept, a fragment that's an anchor or a route gets ?t= instead
+		const hash = url.hash.slice(1)
+		if (!hash || hash.includes('=')) {
+			const hashParams = new URLSearchParams(hash)
+			hashParams.set('t', Math.floor(time))
+			url.hash = hashParams.toString()
+		} else {
+			url.searchParams.set('t', Math.floor(time))
+		}
+		return url.href
+	}
+	async copyTimeLink(time) {
+		try {
+			await navigator.clipboard.writeText(this.getTimeLink(time))
+			this.#showIndicator('Link copied')
+		} catch {
+			this.#showIndicator('Couldn\'t copy the link')
+		}
+	}
+
+	/* --------------------------------- Capture -------------------------------- */
+
+	// The current frame at the video's own resolution, optionally with the subtitles that are showing drawn on it
+	async captureFrame({ type = 'image/png', quality, subtitles = false } = {}) {
+		const video = this.#videoElement
+		if (video.readyState < HTMLMediaElement.HAVE_CURRENT_DATA) throw new Error('There\'s no frame to capture yet')
+		if (!video.videoWidth) throw new Error('There\'s no picture to capture, it\'s only audio')
+		const width = video.videoWidth
+		const height = video.videoHeight
+		const lines = subtitles ? this.#activeSubtitleCues.flatMap(cue => getCuePlainText(cue.text, this.#subtitleFormat).split('\n')) : []
+		const draw = lines.length ? ctx => {
+			const fontSize = Math.round(height / 18)
+			ctx.font = `${fontSize}px sans-serif`
+			ctx.textAlign = 'center'
+			ctx.textBaseline = 'bottom'
+			ctx.lineJoin = 'round'
+			ctx.lineWidth = fontSize / 6
+			ctx.strokeStyle = '#000'
+			ctx.fillStyle = '#fff'
+			lines.forEach((line, i) => {
+				const y = height - fontSize - (lines.length - 1 - i) * fontSize * 1.25
+				ctx.strokeText(line, width / 2, y)
+				ctx.fillText(line, width / 2, y)
+			})
+		} : null
+		try {
+			return await encodeVideoFrame(video, { width, height, type, quality, draw })
+		} catch (error) {
+			if (error.name == 'SecurityError') throw new Error('The frame can\'t be read, videos from other origins need CORS and the crossorigin attribute')
+			throw error
+		}
+	}
+
+	// Records start to end (in seconds) from a second copy of the video, resolves with a WebM blob once it's done
+	async exportClip(start, end, { mimeType = 'video/webm', signal } = {}) {
+		if (this.#sourceHandler || this.#live) throw new Error('Clips can\'t be exported from streams')
+		if (!(end > start)) throw new Error('The clip has to end after it starts')
+		if (!window.MediaRecorder || !MediaRecorder.isTypeSupported(mimeType)) throw new Error(`${mimeType} can't be recorded in this browser`)
+		signal?.throwIfAborted()
+
+		const video = createElement('video')
+		video.preload = 'auto'
+		if (this.#videoElement.crossOrigin != null) video.crossOrigin = this.#videoElement.crossOrigin
+		video.src = this.#videoElement.currentSrc || this.#videoElement.src
+		// made before anything is awaited, while a click that started the export still counts as one for autoplay
+		const audioContext = new AudioContext()
+		audioContext.resume()
+		// the listeners on the video and on signal are all removed when it's done
+		const listeners = new AbortController()
+		const waitForVideoEvent = name => new Promise((resolve, reject) => {
+			video.addEventListener(name, resolve, { once: true, signal: listeners.signal })
+			video.addEventListener('error', () => reject(new Error(video.error?.message || 'the video couldn\'t be loaded')), { once: true, signal: listeners.signal })
+			signal?.addEventListener('abort', () => reject(signal.reason), { once: true, signal: listeners.signal })
+		})
+
+		try {
+			await waitForVideoEvent('loadeddata')
+			video.currentTime = start
+			await waitForVideoEvent('seeked')
+
+			// the audio goes to the recording instead of the speakers
+			const stream = new MediaStream((video.captureStream ?? video.mozCaptureStream).call(video).getVideoTracks())
+			const destination = audioContext.createMediaStreamDestination()
+			audioContext.createMediaElementSource(video).connect(destination)
+			for (const track of destination.stream.getAudioTracks()) stream.addTrack(track)
+
+			const recorder = new MediaRecorder(stream, { mimeType })
+			const chunks = []
+			recorder.addEventListener('dataavailable', e => chunks.push(e.data))
+			const stopped = new Promise(resolve => recorder.addEventListener('stop', resolve, { once: true }))
+			const stop = () => recorder.state != 'inactive' && recorder.stop()
+
+			await new Promise((resolve, reject) => {
+				const checkTime = () => {
+					if (video.currentTime < end) return watchTime()
+					stop()
+					resolve()
+				}
+				// frame callbacks stop closer to end than timeupdate does
+				const watchTime = () => video.requestVideoFrameCallback ? video.requestVideoFrameCallback(checkTime) : video.addEventListener('timeupdate', checkTime, { once: true })
+				video.addEventListener('ended', () => { stop(); resolve() }, { once: true, signal: listeners.signal })
+				signal?.addEventListener('abort', () => { stop(); reject(signal.reason) }, { once: true, signal: listeners.signal })
+				// a context that's still suspended (there was no click on the page yet) only records silence, and
+				// autoplay policies would block playing the video with sound, so the clip is made without it
+				if (audioContext.state != 'running') {
+					video.muted = true
+					this.#dispatchError('capture', 'The clip is recorded without sound, the page needs a click first to play it')
+				}
+				recorder.start()
+				video.play().then(watchTime, reject)
+			})
+			await stopped
+			return new Blob(chunks, { type: mimeType })
+		} catch (error) {
+			if (error?.name == 'SecurityError') throw new Error('The video can\'t be recorded, videos from other origins need CORS and the crossorigin attribute')
+			throw error
+		} finally {
+			listeners.abort()
+			video.pause()
+			video.removeAttribute('src')
+			video.load()
+			audioContext.close()
+		}
+	}
+
+	// Names the downloads after the video's file, e.g. video-1.30.png
+	#getCaptureFilename(time, extension) {
+		const name = new URL(this.#videoElement.currentSrc || 'video', location.href).pathname.split('/').pop().replace(/\.[^.]*$/, '') || 'video'
+		return `${name}-${formatTime(time).replaceAll(':', '.')}.${extension}`
+	}
+
+	// For the button, the keyboard shortcut and the context menu, subtitles are included when they're showing
+	async #saveFrame() {
+		const time = this.#videoElement.currentTime
+		try {
+			downloadBlob(await this.captureFrame({ subtitles: this.#subtitles }), this.#getCaptureFilename(time, 'png'))
+			this.#showIndicator('Frame saved')
+		} catch (error) {
+			this.#showIndicator('Couldn\'t save the frame')
+			this.#dispatchError('capture', `The frame couldn't be captured: ${error.message}`, { error })
+		}
+	}
+	async #saveClip(start, end) {
+		this.#showIndicator(`Exporting ${formatTime(start)} - ${formatTime(end)}`)
+		try {
+			downloadBlob(await this.exportClip(start, end), this.#getCaptureFilename(start, 'webm'))
+			this.#showIndicator('Clip saved')
+		} catch (error) {
+			this.#showIndicator('Couldn\'t export the clip')
+			this.#dispatchError('capture', `The clip couldn't be exported: ${error.message}`, { error })
+		}
+	}
+
+	/* ------------------------------ Context Menu ------------------------------ */
+
+	#contextMenu
+
+	// Right clicking the video uses the current time, right clicking the seek bar uses the time under the pointer
+	#openContextMenu(e, time) {
+		e.preventDefault()
+		const menu = this.#contextMenu
+		menu.items = [
+			{ label: `Set loop start at ${formatTime(time)}`, value: () => this.#setLoopStart(time) },
+			{ label: `Set loop end at ${formatTime(time)}`, value: () => this.#setLoopEnd(time) },
+			...(this.#loopRange ? [ { label: 'Clear loop', value: () => this.clearLoop() } ] : []),
+			{ label: `Copy link at ${formatTime(time)}`, value: () => this.copyTimeLink(time) },
+			{ label: 'Save frame', value: () => this.#saveFrame() },
+			...(this.#loopRange && !this.#sourceHandler ? [ { label: 'Export loop as clip', value: () => this.#saveClip(this.#loopRange.start, this.#loopRange.end) } ] : []),
+		]
+		menu.open = true
+		// kept inside the player
+		const bounds = this.getBoundingClientRect()
+		const { width, height } = menu.getBoundingClientRect()
+		menu.style.left = `${clamp(0, e.clientX - bounds.left, bounds.width - width)}px`
+		menu.style.top = `${clamp(0, e.clientY - bounds.top, bounds.height - height)}px`
+	}
+
+	/* ------------------------------ Media Session ----------------------------- */
+
+	// Shown by the OS on the lock screen, in notifications, etc., falling back to the playlist item's title and poster
+	get mediaTitle() { return this.getAttribute('mediatitle') }
+	set mediaTitle(newValue) { this.setAttribute('mediatitle', newValue) }
+	get mediaArtist() { return this.getAttribute('mediaartist') }
+	set mediaArtist(newValue) { this.setAttribute('mediaartist', newValue) }
+	get mediaArtwork() { return this.getAttribute('mediaartwork') }
+	set mediaArtwork(newValue) { this.setAttribute('mediaartwork', newValue) }
+
+	#claimMediaSession() {
+		if (!('mediaSession' in navigator)) return
+		mediaSessionPlayer = this
+		const actionHandlers = {
+			play: () => this.paused = false,
+			pause: () => this.paused = true,
+			stop: () => { this.paused = true; this.#videoElement.currentTime = 0 },
+			seekbackward: details => this.#videoElement.currentTime -= details.seekOffset ?? 10,
+			seekforward: details => this.#videoElement.currentTime += details.seekOffset ?? 10,
+			seekto: details => details.fastSeek ? this.fastSeek(details.seekTime) : this.#videoElement.currentTime = details.seekTime,
+		}
+		for (const [ action, handler ] of Object.entries(actionHandlers)) {
+			try {
+				navigator.mediaSession.setActionHandler(action, handler)
+			} catch {}  // browsers throw for actions they don't know
+		}
+		this.#updateMediaSession()
+	}
+
+	// So the OS doesn't keep showing (and controlling) a player that was removed
+	#releaseMediaSession() {
+		if (mediaSessionPlayer != this) return
+		mediaSessionPlayer = null
+		navigator.mediaSession.metadata = null
+		navigator.mediaSession.playbackState = 'none'
+		for (const action of [ 'play', 'pause', 'stop', 'seekbackward', 'seekforward', 'seekto', 'previoustrack', 'nexttrack' ]) {
+			try {
+				navigator.mediaSession.setActionHandler(action, null)
+			} catch {}
+		}
+	}
+
+	// Also shown by the audio only layout
+	#getMediaMetadata() {
+		const item = this.#playlist[this.#playlistIndex]
+		return {
+			title: this.mediaTitle ?? item?.title ?? '',
+			artist: this.mediaArtist ?? item?.artist ?? '',
+			artwork: this.mediaArtwork ?? item?.artwork ?? item?.poster ?? this.poster,
+		}
+	}
+
+	#updateMediaSession() {
+		this.#renderAudioInfo()
+		if (mediaSessionPlayer != this) return
+		const { title, artist, artwork } = this.#getMediaMetadata()
+		navigator.mediaSession.metadata = new MediaMetadata({
+			title,
+			artist,
+			artwork: artwork ? [ { src: new URL(artwork, location.href).href } ] : [],
+		})
+		// the OS only shows the buttons that have a handler
+		try {
+			navigator.mediaSession.setActionHandler('previoustrack', this.#playlist.length ? () => this.previous() : null)
+			navigator.mediaSession.setActionHandler('nexttrack', this.#getAdjacentPlaylistIndex(1) >= 0 ? () => this.next() : null)
+		} catch {}
+		this.#updateMediaSessionState()
+	}
+
+	#updateMediaSessionState() {
+		if (mediaSessionPlayer != this) return
+		navigator.mediaSession.playbackState = this.#paused ? 'paused' : 'playing'
+		const duration = this.#videoElement.duration
+		if (!navigator.mediaSession.setPositionState) return
+		if (Number.isFinite(duration)) {
+			navigator.mediaSession.setPositionState({
+				duration,
+				playbackRate: this.#videoElement.playbackRate,
+				position: clamp(0, this.#videoElement.currentTime, duration),
+			})
+		} else {
+			navigator.mediaSession.setPositionState()
+		}
+	}
+
+	/* -------------------------------- Analytics ------------------------------- */
+
+	// Off unless the analytics attribute is there, if it has a value that's the endpoint the reports are sent to
+	get analytics() { return this.getAttribute('analytics') }
+	set analytics(newValue) { newValue == null ? this.removeAttribute('analytics') : this.setAttribute('analytics', newValue) }
+
+	#analytics = null  // the current video's session
+	#analyticsInterval
+	#sendAnalyticsReportWhenHidden = () => document.visibilityState == 'hidden' && this.#sendAnalyticsReport()
+
+	#createAnalyticsSession() {
+		return {
+			id: crypto.randomUUID?.() ?? Math.random().toString(36).slice(2),
+			src: this.src,
+			sequence: 0,
+			events: [],
+			changed: false,
+			metrics: {
+				playStarts: 0,
+				watchedSeconds: 0,
+				watchedRanges: [],
+				seeks: 0,
+				rebufferCount: 0,
+				rebufferDuration: 0,
+				timeToFirstFrame: null,
+				subtitleSeconds: 0,
+				fullscreenSeconds: 0,
+			},
+			paused: true,
+			lastTime: null,
+			playRequestedAt: null,
+			rebufferStartedAt: null,
+			scrubStartTime: null,
+		}
+	}
+
+	// Runs when the attribute changes and on connect and disconnect, reports are only sent on a timer while the player is
+	// in the page
+	#updateAnalytics() {
+		if (!this.hasAttribute('analytics')) {
+			this.#sendAnalyticsReport()
+			this.#analytics = null
+		} else {
+			this.#analytics ??= this.#createAnalyticsSession()
+		}
+		clearInterval(this.#analyticsInterval)
+		document.removeEventListener('visibilitychange', this.#sendAnalyticsReportWhenHidden)
+		if (!this.#analytics || !this.isConnected) return
+		this.#analyticsInterval = setInterval(() => this.#sendAnalyticsReport(), this.options.analyticsInterval * 1000)
+		// the page might be closed after it's hidden, beacons still get sent then
+		document.addEventListener('visibilitychange', this.#sendAnalyticsReportWhenHidden)
+	}
+
+	#recordAnalyticsEvent(type, details) {
+		if (!this.#analytics) return
+		this.#analytics.events.push({ type, time: this.#videoElement.currentTime, timestamp: Date.now(), ...details })
+	}
+
+	// For the video element's events
+	#recordAnalytics(type) {
+		const analytics = this.#analytics
+		const { metrics } = analytics
+		const scrubbing = this.#seekBars.some(seekBar => seekBar.seeking)
+		const endRebuffer = () => {
+			if (analytics.rebufferStartedAt == null) return
+			const duration = Math.round(performance.now() - analytics.rebufferStartedAt)
+			metrics.rebufferDuration += duration
+			analytics.rebufferStartedAt = null
+			this.#recordAnalyticsEvent('rebuffer', { duration })
+		}
+		switch (type) {
+			case 'loadstart':
+				analytics.src = this.src
+				break
+			case 'play':
+				// the video is also paused and played again around scrubbing, that doesn't count
+				if (scrubbing || !analytics.paused) break
+				analytics.paused = false
+				metrics.playStarts++
+				analytics.playRequestedAt ??= performance.now()
+				this.#recordAnalyticsEvent('play')
+				break
+			case 'playing':
+				if (metrics.timeToFirstFrame == null && analytics.playRequestedAt != null) {
+					metrics.timeToFirstFrame = Math.round(performance.now() - analytics.playRequestedAt)
+					analytics.changed = true
+				}
+				endRebuffer()
+				break
+			case 'pause':
+				endRebuffer()
+				if (scrubbing) break
+				analytics.paused = true
+				this.#recordAnalyticsEvent('pause')
+				break
+			case 'waiting':
+				// waiting for the first frame or after a seek isn't rebuffering
+				if (metrics.timeToFirstFrame == null || this.#videoElement.seeking || analytics.rebufferStartedAt != null) break
+				metrics.rebufferCount++
+				analytics.rebufferStartedAt = performance.now()
+				break
+			case 'seeking':
+				// scrubbing seeks all the time, #recordScrub counts it once
+				if (!scrubbing) {
+					metrics.seeks++
+					this.#recordAnalyticsEvent('seek', { from: analytics.lastTime })
+				}
+				analytics.lastTime = null
+				break
+			case 'timeupdate': {
+				const time = this.#videoElement.currentTime
+				const watched = time - analytics.lastTime
+				if (analytics.lastTime != null && watched > 0 && !this.#videoElement.seeking && !this.#videoElement.paused) {
+					metrics.watchedSeconds += watched
+					metrics.watchedRanges = addRange(metrics.watchedRanges, analytics.lastTime, time)
+					if (this.#subtitles) metrics.subtitleSeconds += watched
+					if (this.#fullscreen) metrics.fullscreenSeconds += watched
+					analytics.changed = true
+				}
+				analytics.lastTime = time
+				break
+			}
+			case 'ended':
+				this.#recordAnalyticsEvent('ended')
+				this.#sendAnalyticsReport()
+				break
+			case 'emptied':
+				// a new video, the old one's session is done
+				endRebuffer()
+				this.#sendAnalyticsReport()
+				this.#analytics = this.#createAnalyticsSession()
+				break
+		}
+	}
+
+	#recordScrub(seeking) {
+		if (!this.#analytics) return
+		if (seeking) {
+			// the first seek has already happened, the time from before it is still the last one watched
+			this.#analytics.scrubStartTime = this.#analytics.lastTime ?? this.#videoElement.currentTime
+			return
+		}
+		this.#analytics.metrics.seeks++
+		this.#recordAnalyticsEvent('seek', { from: this.#analytics.scrubStartTime })
+	}
+
+	// Dispatches an analyticsreport event with what happened since the last one, and sends it to the endpoint if there is one
+	#sendAnalyticsReport() {
+		const analytics = this.#analytics
+		if (!analytics || (!analytics.events.length && !analytics.changed)) return
+		const { metrics } = analytics
+		const duration = this.#videoElement.duration
+		const uniqueWatchedSeconds = metrics.watchedRanges.reduce((sum, [ start, end ]) => sum + end - start, 0)
+		const report = {
+			session: analytics.id,
+			sequence: analytics.sequence++,
+			src: analytics.src,
+			events: analytics.events,
+			metrics: {
+				...metrics,
+				watchedRanges: metrics.watchedRanges.map(range => [ ...range ]),
+				uniqueWatchedSeconds,
+				completion: Number.isFinite(duration) && duration > 0 ? Math.min(uniqueWatchedSeconds / duration * 100, 100) : null,
+			},
+		}
+		analytics.events = []
+		analytics.changed = false
+
+		const event = new Event('analyticsreport')
+		event.report = report
+		this.dispatchEvent(event)
+		const endpoint = this.getAttribute('analytics')
+		if (endpoint && !navigator.sendBeacon(new URL(endpoint, location.href).href, JSON.stringify(report))) {
+			this.#dispatchError('analytics', 'The analytics report couldn\'t be sent', { report })
+		}
+	}
+
+	/* ---------------------------------- Sync ---------------------------------- */
+
+	// Players with the same sync attribute play, pause, seek and change speed together. Every player sends heartbeats,
+	// the one that joined first is the leader and its state is the one the others correct their drift to. States have
+	// a version so an older one (like a heartbeat sent while someone else seeked) doesn't undo a newer one
+	get sync() { return this.getAttribute('sync') }
+	set sync(newValue) { newValue == null ? this.removeAttribute('sync') : this.setAttribute('sync', newValue) }
+	static registerSyncTransport(transport) { syncTransports.unshift(transport) }
+
+	#sync = null
+	// made when joining, the players sort them to pick the leader so the one that joined first leads
+	#syncId = null
+	#syncLeftValue = null  // the sync that was just left, a player that's only moved joins it again with the same id
+	#syncIndicators = []
+
+	// The number of synced players, including this one
+	get syncViewers() { return this.#sync ? this.#sync.peers.size + 1 : 0 }
+	get syncLeader() { return Boolean(this.#sync) && this.#getSyncLeaderId() == this.#syncId }
+
+	// Runs when the attribute changes and on connect and disconnect
+	#updateSync() {
+		const value = this.isConnected ? this.getAttribute('sync') : null
+		if (value == this.#sync?.value) return
+		if (this.#sync) {
+			this.#sendSyncMessage({ type: 'leave' })
+			this.#sync.transport.close()
+			clearInterval(this.#sync.interval)
+			this.#syncLeftValue = this.#sync.value
+			queueMicrotask(() => this.#syncLeftValue = null)
+			this.#sync = null
+		}
+		const transport = value && syncTransports.find(transport => transport.canHandle(value))?.create(value)
+		if (transport) {
+			if (value != this.#syncLeftValue) this.#syncId = `${Date.now().toString().padStart(15, '0')}-${Math.random().toString(36).slice(2)}`
+			const sync = { value, transport, peers: new Map(), version: -1, state: null, interval: null }
+			this.#sync = sync
+			transport.addEventListener('message', e => sync == this.#sync && this.#receiveSyncMessage(e.message))
+			transport.addEventListener('error', e => sync == this.#sync && this.#dispatchError('sync', e.error?.message ?? 'The sync connection failed', { error: e.error }))
+			sync.interval = setInterval(() => this.#sendSyncHeartbeat(), this.options.syncInterval * 1000)
+			this.#sendSyncMessage({ type: 'hello' })
+		} else if (value) {
+			this.#dispatchError('sync', `There's no way to sync with ${value}`)
+		}
+		this.#renderSyncIndicators()
+	}
+
+	#sendSyncMessage(message) {
+		this.#sync.transport.send({ ...message, id: this.#syncId })
+	}
+
+	#getSyncLeaderId() {
+		return [ this.#syncId, ...this.#sync.peers.keys() ].sort()[0]
+	}
+
+	#sendSyncHeartbeat() {
+		const sync = this.#sync
+		// players that stopped sending heartbeats have left
+		for (const [ id, lastSeen ] of sync.peers) {
+			if (performance.now() - lastSeen > this.options.syncInterval * 3000) sync.peers.delete(id)
+		}
+		// the others only use the leader's state, or a newer one (so a player that rejoins and becomes the leader catches up)
+		const state = { paused: this.#paused, time: this.#videoElement.currentTime, rate: this.#playbackRate, version: sync.version }
+		if (this.#getSyncLeaderId() == this.#syncId) sync.state = { ...state, receivedAt: performance.now() }
+		this.#sendSyncMessage({ type: 'heartbeat', state })
+		this.#renderSyncIndicators()
+	}
+
+	#receiveSyncMessage(message) {
+		const sync = this.#sync
+		if (!message?.id || message.id == this.#syncId) return
+		if (message.type == 'leave') {
+			sync.peers.delete(message.id)
+			this.#renderSyncIndicators()
+			return
+		}
+		const joined = !sync.peers.has(message.id)
+		sync.peers.set(message.id, performance.now())
+		if (joined) this.#renderSyncIndicators()
+		// everyone answers, so the new player knows who's there (and gets the state from the leader) right away
+		if (message.type == 'hello') this.#sendSyncHeartbeat()
+		if (message.state) this.#applySyncState(message.state, message.id)
+	}
+
+	// The state the others are at now, from the last one received
+	#getExpectedSyncState() {
+		const state = this.#sync?.state
+		if (!state) return null
+		const elapsed = state.paused ? 0 : (performance.now() - state.receivedAt) / 1000 * state.rate
+		return { paused: state.paused, rate: state.rate, time: state.time + elapsed }
+	}
+
+	#applySyncState(state, senderId) {
+		const sync = this.#sync
+		// heartbeats only count from the leader, the same version from someone else is an older state
+		if (state.version < sync.version || (state.version == sync.version && sync.state && senderId != this.#getSyncLeaderId())) return
+		sync.version = state.version
+		sync.state = { ...state, receivedAt: performance.now() }
+		if (state.rate != this.#playbackRate) this.playbackRate = state.rate
+		if (state.paused != this.#paused) this.paused = state.paused
+		this.#correctSyncDrift()
+	}
 
-	constructor() {
-		super()
+	// Big differences are seeked away, small ones are caught up with by playing a bit faster or slower so it doesn't stutter
+	#correctSyncDrift() {
+		const expected = this.#getExpectedSyncState()
+		if (!expected || this.#seekBars.some(seekBar => seekBar.seeking)) return
+		let drift = this.#videoElement.currentTime - expected.time
+		if (Math.abs(drift) > (expected.paused ? 0.01 : this.options.syncSeekThreshold)) {
+			this.#videoElement.currentTime = expected.time
+			drift = 0
+		}
+		this.#videoElement.playbackRate = expected.paused || Math.abs(drift) < 0.05 ? this.#playbackRate : this.#playbackRate * (1 - clamp(-0.5, drift, 0.5) * 0.2)
+	}
 
-		this.videoElement
-		this.initialized = false
+	// For play, pause, seeked and ratechange, changes that didn't come from the others are sent to them
+	#syncLocalChange() {
+		const sync = this.#sync
+		if (this.#seekBars.some(seekBar => seekBar.seeking)) return
+		const state = { paused: this.#paused, time: this.#videoElement.currentTime, rate: this.#playbackRate }
+		const expected = this.#getExpectedSyncState()
+		if (expected && state.paused == expected.paused && state.rate == expected.rate
+			&& Math.abs(state.time - expected.time) <= (state.paused ? 0.01 : this.options.syncSeekThreshold)) return
+		// only the leader controls playback, the others are put back
+		if (this.options.syncLeaderOnly && expected && !this.syncLeader) {
+			this.#applySyncState(sync.state, this.#getSyncLeaderId())
+			return
+		}
+		sync.version++
+		sync.state = { ...state, version: sync.version, receivedAt: performance.now() }
+		this.#sendSyncMessage({ type: 'state', state: { ...state, version: sync.version } })
 	}
 
-	updateBar(currentTime) {
-		this.#watched.style.width = `${this.getBoundingClientRect().width * currentTime / this.videoElement.duration}px`
+	#renderSyncIndicators() {
+		this.classList.toggle('synced', Boolean(this.#sync))
+		const viewers = this.syncViewers - 1
+		const text = !this.#sync ? '' : viewers ? `Synced with ${viewers} ${viewers == 1 ? 'viewer' : 'viewers'}` : 'Waiting for viewers'
+		for (const indicator of this.#syncIndicators) indicator.textContent = text
 	}
 
-	get previewImageSrc() { return this.#preview.src }
-	set previewImageSrc(value) { this.#preview.src = value }
+	/* --------------------------- Keyboard Shortcuts --------------------------- */
 
-	connectedCallback() {
-		if (this.initialized) return
-		this.initialized = true
-		/* -------------------------------- Seek Bar -------------------------------- */
-		const watched = createElement('div', { class: 'seek-bar-watched seek-bar' })
-		const remaining = createElement('div', { class: 'seek-bar-remaining seek-bar' })
-		const thumb = createElement('div', { class: 'seek-bar-thumb' })
-		const clickArea = createElement('div', { class: 'seek-bar-click-area' })
-		this.append(watched, thumb, remaining, clickArea)
-		
-		this.#watched = watched
+	#shortcuts
 
-		let scrubbing = false
+	// The actions options.keymap can bind keys to, the descriptions are shown in the shortcuts overlay. They're made once,
+	// so the ones that depend on options read them when they run (and have description getters)
+	#keyboardActions
+	#getKeyboardActions() {
+		this.#keyboardActions ??= this.#createKeyboardActions()
+		return this.#keyboardActions
+	}
+	#createKeyboardActions() {
+		const options = this.options
+		const seekBy = seconds => this.#videoElement.currentTime += seconds
+		const seekToFraction = fraction => {
+			const { start, end } = getSeekRange(this.#videoElement, this.#live)
+			if (Number.isFinite(end)) this.#videoElement.currentTime = start + (end - start) * fraction
+		}
+		const stepFrame = direction => {
+			if (!this.#paused) return
+			this.#videoElement.currentTime += direction / options.frameRate
+		}
+		const changeVolume = change => {
+			this.volume = Math.round(clamp(0, this.volume + change, 1) * 100) / 100
+			if (change > 0) this.muted = false
+			this.#showIndicator(`Volume: ${Math.round(this.volume * 100)}%`)
+		}
+		const changeSubtitleOffset = change => {
+			this.subtitleOffset = Math.round((this.subtitleOffset + change) * 1000) / 1000
+			this.#showIndicator(`Subtitle delay: ${Math.round(this.subtitleOffset * 1000)} ms`)
+		}
+		return {
+			togglePaused: { description: 'Play/pause', run: () => this.togglePaused() },
+			toggleMute: { description: 'Mute/unmute', run: () => this.toggleMute() },
+			toggleFullscreen: { description: 'Fullscreen', run: () => this.toggleFullscreen() },
+			exitFullscreen: { description: 'Exit fullscreen', run: () => this.fullscreen = false },
+			toggleSubtitles: { description: 'Subtitles on/off', run: () => this.toggleSubtitles() },
+			togglePictureInPicture: { description: 'Picture-in-picture', run: () => this.togglePictureInPicture() },
+			seekBackward: { get description() { return `Back ${options.seekStep} seconds` }, run: () => seekBy(-options.seekStep) },
+			seekForward: { get description() { return `Forward ${options.seekStep} seconds` }, run: () => seekBy(options.seekStep) },
+			seekBackwardLarge: { get description() { return `Back ${options.seekStepLarge} seconds` }, run: () => seekBy(-options.seekStepLarge) },
+			seekForwardLarge: { get description() { return `Forward ${options.seekStepLarge} seconds` }, run: () => seekBy(options.seekStepLarge) },
+			seekToStart: { description: 'Go to the start', run: () => seekToFraction(0) },
+			seekToEnd: { description: 'Go to the end, or to live', run: () => this.#live ? this.goLive() : seekToFraction(1) },
+			// 1 goes to 10%, 2 to 20%, etc., so it only makes sense for the number keys
+			seekToPercentage: { description: 'Go to 0% - 90%', run: e => seekToFraction(Number(e.key) / 10) },
+			previousFrame: { description: 'Previous frame (while paused)', run: () => stepFrame(-1) },
+			nextFrame: { description: 'Next frame (while paused)', run: () => stepFrame(1) },
+			previousChapter: { description: 'Previous chapter', run: () => this.previousChapter() },
+			nextChapter: { description: 'Next chapter', run: () => this.nextChapter() },
+			previous: { description: 'Previous video', run: () => this.previous() },
+			next: { description: 'Next video', run: () => this.next() },
+			slower: { description: 'Slower', run: () => this.#stepPlaybackRate(-1) },
+			faster: { description: 'Faster', run: () => this.#stepPlaybackRate(1) },
+			volumeUp: { get description() { return `Volume up ${Math.round(options.volumeStep * 100)}%` }, run: () => changeVolume(options.volumeStep) },
+			volumeDown: { get description() { return `Volume down ${Math.round(options.volumeStep * 100)}%` }, run: () => changeVolume(-options.volumeStep) },
+			subtitleDelayDecrease: { get description() { return `Subtitles ${Math.round(options.subtitleOffsetStep * 1000)} ms earlier` }, run: () => changeSubtitleOffset(-options.subtitleOffsetStep) },
+			subtitleDelayIncrease: { get description() { return `Subtitles ${Math.round(options.subtitleOffsetStep * 1000)} ms later` }, run: () => changeSubtitleOffset(options.subtitleOffsetStep) },
+			setLoopStart: { description: 'Set the loop start', run: () => this.#setLoopStart(this.#videoElement.currentTime) },
+			setLoopEnd: { description: 'Set the loop end', run: () => this.#setLoopEnd(this.#videoElement.currentTime) },
+			clearLoop: { description: 'Clear the loop', run: () => { this.clearLoop(); this.#showIndicator('Loop cleared') } },
+			copyTimeLink: { description: 'Copy link at current time', run: () => this.copyTimeLink() },
+			saveFrame: { description: 'Save a screenshot', run: () => this.#saveFrame() },
+			toggleShortcuts: { description: 'Show/hide these shortcuts', run: () => this.#toggleShortcuts() },
+		}
+	}
 
-		const updateScrubbing = e => {
-			if (!scrubbing) return
-			const event = new Event('timechange')
-			event.time = this.videoElement.duration * (e.clientX - this.getBoundingClientRect().left) / this.getBoundingClientRect().width
-			this.dispatchEvent(event)
+	#renderShortcuts() {
+		const actions = this.#getKeyboardActions()
+		// every action with the keys bound to it, in the order of the keymap
+		const keysByAction = new Map()
+		for (const [ key, action ] of Object.entries(this.options.keymap)) {
+			if (!actions[action]) continue
+			if (!keysByAction.has(action)) keysByAction.set(action, [])
+			keysByAction.get(action).push(key)
 		}
+		const rows = [ ...keysByAction ].map(([ action, keys ]) => createElement('div', { class: 'shortcut', children: [
+			createElement('div', { class: 'shortcut-keys', children: keys.map(key => createElement('kbd', { text: key.split('+').map(part => keyLabels[part] ?? part).join(' + ') })) }),
+			createElement('div', { class: 'shortcut-description', text: actions[action].description }),
+		] }))
+		this.#shortcuts.list.replaceChildren(...rows)
+	}
 
-		clickArea.addEventListener('pointerdown', e => {
-			scrubbing = true
-			this.#seeking = true
-			this.classList.add('seeking')
-			updateScrubbing(e)
+	#toggleShortcuts() {
+		const visible = !this.#shortcuts.element.classList.contains('visible')
+		if (visible) this.#renderShortcuts()
+		this.#shortcuts.element.classList.toggle('visible', visible)
+		visible ? this.#shortcuts.element.focus() : this.focus()
+	}
 
-			const event = new Event('seekingchange')
-			event.seeking = this.#seeking
-			this.dispatchEvent(event)
-		})
+	/* ------------------------------ Accessibility ----------------------------- */
 
-		document.addEventListener('pointerup', e => {
-			if (!scrubbing) return
-			scrubbing = false
-			this.#seeking = false
-			this.classList.remove('seeking')
-			updateScrubbing(e)
+	#liveRegion
+	#announcedStates = null
 
-			const event = new Event('seekingchange')
-			event.seeking = this.#seeking
-			this.dispatchEvent(event)
-		})
+	// Keeps the buttons' state in sync for screen readers, and announces the changes
+	#updateControlStates() {
+		const setAttribute = (selector, name, value) => {
+			for (const button of this.shadowRoot.querySelectorAll(selector)) button.setAttribute(name, value)
+		}
+		setAttribute('.play-pause-button', 'aria-label', this.#paused ? 'Play' : 'Pause')
+		setAttribute('.mute-button', 'aria-pressed', this.#muted)
+		setAttribute('.subtitles-button', 'aria-pressed', this.#subtitles)
+		setAttribute('.fullscreen-button', 'aria-pressed', this.#fullscreen)
+		setAttribute('.picture-in-picture-button', 'aria-pressed', this.#pictureInPicture)
 
-		document.addEventListener('pointermove', updateScrubbing)
+		const states = { paused: this.#paused, muted: this.#muted, subtitles: this.#subtitles, fullscreen: this.#fullscreen, pictureInPicture: this.#pictureInPicture }
+		const announcements = {
+			paused: [ 'Playing', 'Paused' ],
+			muted: [ 'Unmuted', 'Muted' ],
+			subtitles: [ 'Subtitles off', 'Subtitles on' ],
+			fullscreen: [ 'Exited fullscreen', 'Fullscreen' ],
+			pictureInPicture: [ 'Exited picture-in-picture', 'Picture-in-picture' ],
+		}
+		// the first call is the initial state, there's nothing to announce
+		if (this.#announcedStates) {
+			const changes = Object.keys(states).filter(name => states[name] != this.#announcedStates[name])
+			if (changes.length) this.#announce(changes.map(name => announcements[name][Number(states[name])]).join(', '))
+		}
+		this.#announcedStates = states
+	}
 
-		/* ---------------------------- Seek Bar Popover ---------------------------- */
-		const popover = createElement('div', { class: 'seek-bar-popover' })
-		const preview = createElement('img', { class: 'seek-bar-preview' })
-		const timecode = createElement('div', { class: 'seek-bar-timecode' })
+	#announce(text) {
+		if (!this.#liveRegion) return
+		this.#liveRegion.textContent = text
+	}
 
-		this.#preview = preview
+	/* -------------------------------- Rendering ------------------------------- */
 
-		preview.src = ''
+	// Nothing runs every frame, the UI is updated on the video's events and with a timer for the next time the subtitles,
+	// the chapter or the loop change
+	#ui = null
+	#updateTimeout
+	#subtitleIndex = createTimeIndex([])
+	#activeSubtitleCues = []
+	#renderedSubtitleCues = []
+	#subtitleCueElements = new WeakMap()  // parsing the markdown is slow, so each cue is only rendered once
 
-		popover.append(timecode, preview)
-		this.append(popover)
+	#update() {
+		clearTimeout(this.#updateTimeout)
+		if (!this.#ui) return
+		const time = this.#videoElement.currentTime
+		// A-B loop, not while scrubbing past the end marker
+		if (this.#loopRange && !this.#paused && !this.#seekBars.some(seekBar => seekBar.seeking) && time >= this.#loopRange.end) {
+			this.#videoElement.currentTime = this.#loopRange.start  // seeking updates again
+			return
+		}
+		this.#renderTime(time)
+		const nextChapterTime = this.#renderChapter(time)
+		const nextSubtitleTime = this.#renderSubtitles(time)
 
-		document.addEventListener('pointermove', e => {
-			const { left, width } = this.getBoundingClientRect()
-			if (this.offsetWidth + this.offsetHeight == 0) return  // if the seekbar isn't being displayed (for example, with display none)
-			const previewTime = clamp(0, e.clientX - left, width) / width * this.videoElement.duration
-			const event = new Event('previewtimechange')
-			event.time = previewTime
-			this.dispatchEvent(event)
-			let pos = (e.clientX - left)
-			if (pos < preview.getBoundingClientRect().width / 2) {
-				pos = preview.getBoundingClientRect().width / 2
-			}
-			if (pos > width - preview.getBoundingClientRect().width / 2) {
-				pos = width - preview.getBoundingClientRect().width / 2
-			}
-			popover.style.left = `${pos}px`
+		if (this.#videoElement.paused || !this.isConnected) return
+		const nextTime = Math.min(nextChapterTime, nextSubtitleTime, this.#loopRange?.end > time ? this.#loopRange.end : Infinity)
+		if (Number.isFinite(nextTime)) {
+			this.#updateTimeout = setTimeout(() => this.#update(), (nextTime - time) / this.#videoElement.playbackRate * 1000)
+		}
+	}
 
-			timecode.textContent = formatTime(previewTime)
-		})
+	#renderTime(time) {
+		for (const seekBar of this.#seekBars) seekBar.updateBar(time)
+		// live streams show how far behind live it is instead
+		const atLiveEdge = this.atLiveEdge
+		this.classList.toggle('at-live-edge', atLiveEdge)
+		const currentTime = !this.#live ? formatTime(time) : atLiveEdge ? '' : `-${formatTime(this.liveLatency)}`
+		const duration = formatTime(this.#videoElement.duration)
+		for (const element of this.#ui.currentTimeElements) if (element.textContent != currentTime) element.textContent = currentTime
+		for (const element of this.#ui.durationElements) if (element.textContent != duration) element.textContent = duration
 	}
-}
 
-class StardustPlayer extends HTMLElement {
-	static observedAttributes = ['src', 'sub']
+	// Returns when the chapter changes next
+	#renderChapter(time) {
+		const { items: [ chapter = null ], nextTime } = findInTimeIndex(this.#chapterIndex, time)
+		if (chapter != this.#currentChapter) {
+			this.#currentChapter = chapter
+			for (const element of this.#ui.chapterTitleElements) element.textContent = chapter?.title ?? ''
+			const event = new Event('chapterchange')
+			event.chapter = chapter
+			this.dispatchEvent(event)
+		}
+		return nextTime
+	}
 
-	options
-	#videoElement
-	#paused = true
-	#muted = false
-	#subtitles = false
-	#fullscreen = false
-	#ended = false
-	#seekBarPreviewTimecode
-	#updateHideControls
-	#subtitleObjects
-	#screenIsTouched = false
+	// Returns when the cues change next
+	#renderSubtitles(time) {
+		const { items, nextTime } = findInTimeIndex(this.#subtitleIndex, time - this.#subtitleOffset)
+		if (!arraysEqual(items, this.#activeSubtitleCues)) {
+			this.#activeSubtitleCues = items
+			// Lets things like the transcript follow along, even when the subtitles are hidden
+			const event = new Event('cuechange')
+			event.activeCues = items.map(cue => this.#getPlainSubtitleCue(cue))
+			this.dispatchEvent(event)
+		}
+		const shownCues = this.#subtitles ? this.#activeSubtitleCues : []
+		if (!arraysEqual(shownCues, this.#renderedSubtitleCues)) {
+			this.#renderedSubtitleCues = shownCues
+			const cueElements = shownCues.map(cue => {
+				if (!this.#subtitleCueElements.has(cue)) this.#subtitleCueElements.set(cue, this.#createSubtitleCueElement(cue))
+				return this.#subtitleCueElements.get(cue)
+			})
+			this.#ui.subtitleContainer.replaceChildren(...cueElements.filter(element => !element.classList.contains('positioned')))
+			this.#ui.positionedSubtitleContainer.replaceChildren(...cueElements.filter(element => element.classList.contains('positioned')))
+		}
+		return nextTime + this.#subtitleOffset
+	}
 
-	// Aliases for the HTML attribute,
-	// attributeChangedCallback below handles the changing
-	get src() { return this.getAttribute('src') }
-	set src(newValue) { this.setAttribute('src', newValue) }
+	/* --------------------------------- Errors --------------------------------- */
 
-	get sub() { return this.getAttribute('sub') }
-	set sub(newValue) { this.setAttribute('sub', newValue) }
+	#errorOverlay
 
-	// Pause
-	#updatePaused() {
-		this.#paused ? this.#videoElement.pause() : this.#videoElement.play()
-		this.classList.toggle('paused', this.#paused)
-		this.#updateHideControls()
+	// e.source says where it came from, 'video', 'subtitles', 'chapters', 'previews', 'analytics', 'sync', 'capture', 'audio', 'waveform' or 'options'
+	#dispatchError(source, message, properties) {
+		const event = new Event('error')
+		event.source = source
+		event.message = message
+		Object.assign(event, properties)
+		this.dispatchEvent(event)
 	}
-	get paused() { return this.#paused }
-	set paused(newValue) { this.#paused = newValue; this.#updatePaused() }
-	togglePaused() { this.paused = !this.paused }
-	// Mute
-	#updateMuted() {
-		this.#videoElement.muted = this.#muted
-		this.classList.toggle('muted', this.#muted)
+
+	// For errors that stop the video from playing, the overlay has a retry button
+	#showError(message) {
+		if (!this.#errorOverlay) return
+		this.#errorOverlay.message.textContent = message
+		this.#errorOverlay.element.classList.add('visible')
+		this.#announce(message)
 	}
-	get muted() { return this.#muted }
-	set muted(newValue) { this.#muted = newValue; this.#updateMuted() }
-	toggleMute() { this.muted = !this.muted }
-	// Subtitles
-	#updateSubtitles() {
-		this.classList.toggle('subtitles', this.#subtitles)
+	#hideError() {
+		this.#errorOverlay?.element.classList.remove('visible')
 	}
-	get subtitles() { return this.#subtitles }
-	set subtitles(newValue) { this.#subtitles = newValue; this.#updateSubtitles() }
-	toggleSubtitles() { this.subtitles = !this.subtitles }
-	// Fullscreen
-	async #updateFullscreen() {
-		if (this.#fullscreen) {
-			await this.requestFullscreen()
-			screen.orientation.lock('landscape')
-		} else {
-			document.fullscreenElement && document.exitFullscreen()
-			screen.orientation.unlock()
-		}
-		this.classList.toggle('fullscreen', this.#fullscreen) 
+
+	// Loads the video again, continuing where it stopped
+	#retry() {
+		const time = this.#videoElement.currentTime
+		this.#hideError()
+		if (time) this.#videoElement.addEventListener('loadedmetadata', () => this.#videoElement.currentTime = time, { once: true })
+		this.load()
+		this.#updatePaused()
+	}
+
+	/* -------------------------------- Indicator ------------------------------- */
+
+	#indicatorElement
+	#indicatorTimeout
+
+	// Briefly shows a message at the top of the player, for changes that have no other visible feedback
+	#showIndicator(text) {
+		this.#announce(text)
+		if (!this.#indicatorElement) return
+		this.#indicatorElement.textContent = text
+		this.#indicatorElement.classList.add('visible')
+		clearTimeout(this.#indicatorTimeout)
+		this.#indicatorTimeout = setTimeout(() => this.#indicatorElement.classList.remove('visible'), this.options.indicatorTimeout)
 	}
-	get fullscreen() { return this.#fullscreen }
-	set fullscreen(newValue) { this.#fullscreen = newValue; this.#updateFullscreen() }
-	toggleFullscreen() { this.fullscreen = !this.fullscreen }
 
 	/* ----------------------------- Seekbar Preview ---------------------------- */
 
+	// Previews come from a thumbnail track if there is one, otherwise they're generated from the video
+	#thumbnailIndex = createTimeIndex([])
+	#thumbnailTrackSrc
+	#thumbnailImages = new Map()
 	#seekbarPreviewImages = []
+	#previewAbortController
 
-	async #renderSeekBarPreviewImages() {
+	// Reads the thumbnails from the thumbnails attribute or a <track kind="metadata" label="thumbnails"> child,
+	// both should be WebVTT files with cues like `sprite.jpg#xywh=0,0,160,90`
+	#updateThumbnailTrack() {
+		const src = this.getAttribute('thumbnails') ?? this.querySelector(':scope > track[kind="metadata"][label="thumbnails"]')?.src
+		if (src == this.#thumbnailTrackSrc) return
+		this.#thumbnailTrackSrc = src
+		this.#thumbnailIndex = createTimeIndex([])
+		if (!src) {
+			if (this.#videoElement.readyState >= 2) this.#renderSeekBarPreviewImages()
+			return
+		}
+		this.#cancelSeekBarPreviewImages()
+		fetchText(src).then(i => {
+			if (src != this.#thumbnailTrackSrc) return  // changed while loading
+			this.#thumbnailIndex = createTimeIndex(parseVTT(i).cues.map(cue => {
+				const [ url, xywh ] = cue.text.trim().split('#xywh=')
+				const [ x, y, width, height ] = xywh ? xywh.replace(/^pixel:/, '').split(',').map(i => parseInt(i)) : []
+				return { start: cue.start, end: cue.end, src: new URL(url, new URL(src, location.href)).href, x, y, width, height }
+			}))
+			this.#renderSeekBarPreview()
+		}).catch(error => {
+			if (src != this.#thumbnailTrackSrc) return
+			this.#dispatchError('previews', `The thumbnails couldn't be loaded: ${error.message}`, { error })
+		})
+	}
+
+	// Returns the region of a sprite sheet to show in the seek bar popover, once the sheet has loaded
+	#getThumbnailPreviewImage(time) {
+		const thumbnail = findInTimeIndex(this.#thumbnailIndex, time).items[0]
+		if (!thumbnail) return null
+		if (!this.#thumbnailImages.has(thumbnail.src)) {
+			const image = new Image()
+			image.addEventListener('load', () => this.#renderSeekBarPreview())
+			image.src = thumbnail.src
+			this.#thumbnailImages.set(thumbnail.src, image)
+		}
+		const image = this.#thumbnailImages.get(thumbnail.src)
+		if (!image.naturalWidth) return null
+		return {
+			src: thumbnail.src,
+			x: thumbnail.x ?? 0,
+			y: thumbnail.y ?? 0,
+			width: thumbnail.width ?? image.naturalWidth,
+			height: thumbnail.height ?? image.naturalHeight,
+			imageWidth: image.naturalWidth,
+			imageHeight: image.naturalHeight,
+		}
+	}
+
+	// The image for the time the pointer is over, this runs when that time changes or a new image is ready
+	#renderSeekBarPreview() {
+		const time = this.#seekBarPreviewTimecode
+		if (time == null) return
+		let previewImage = this.#getThumbnailPreviewImage(time)
+		if (!this.#thumbnailTrackSrc) {
+			const frame = this.#seekbarPreviewImages[bisect(this.#seekbarPreviewImages, frame => frame.timecode < time)]
+			if (frame) previewImage = { src: frame.image, x: 0, y: 0, width: frame.width, height: frame.height, imageWidth: frame.width, imageHeight: frame.height }
+		}
+		for (const seekBar of this.#seekBars) seekBar.previewImage = previewImage
+	}
+
+	#cancelSeekBarPreviewImages() {
+		this.#previewAbortController?.abort()
+		for (const { image } of this.#seekbarPreviewImages) {
+			if (image.startsWith('blob:')) URL.revokeObjectURL(image)
+		}
 		this.#seekbarPreviewImages = []
+		this.#renderSeekBarPreview()
+	}
+
+	// Fallback for when there's no thumbnail track, renders frames from a second copy of the video
+	async #renderSeekBarPreviewImages() {
+		this.#cancelSeekBarPreviewImages()
+		// streams played by a source handler can't be loaded a second time, and live streams never finish loading
+		if (this.#thumbnailTrackSrc || this.#sourceHandler || this.#live || this.#audioOnly || !this.isConnected) return
+
+		const abortController = new AbortController()
+		const { signal } = abortController
+		this.#previewAbortController = abortController
 
 		const video = createElement('video')
-		video.src = this.#videoElement.src
+		video.muted = true
+		video.preload = 'auto'
+		// without CORS the frames can't be read back from the canvas
+		if (this.#videoElement.crossOrigin != null) video.crossOrigin = this.#videoElement.crossOrigin
+		video.src = this.#videoElement.currentSrc || this.#videoElement.src
+		signal.addEventListener('abort', () => {
+			video.removeAttribute('src')
+			video.load()  // stops the download
+		})
+
+		const waitForVideoEvent = name => new Promise((resolve, reject) => {
+			const onAbort = () => reject(signal.reason)
+			const onError = () => reject(new Error(video.error?.message || 'the video couldn\'t be loaded'))
+			signal.addEventListener('abort', onAbort, { once: true })
+			video.addEventListener('error', onError, { once: true })
+			video.addEventListener(name, () => {
+				signal.removeEventListener('abort', onAbort)
+				video.removeEventListener('error', onError)
+				resolve()
+			}, { once: true })
+		})
+
 		const size = this.options.previewImageMaxSize.width / this.#videoElement.videoWidth < this.options.previewImageMaxSize.height / this.#videoElement.videoHeight ?
 			{ width: this.options.previewImageMaxSize.width, height: this.options.previewImageMaxSize.width / this.#videoElement.videoWidth * this.#videoElement.videoHeight }
 			: { width: this.options.previewImageMaxSize.height / this.#videoElement.videoHeight * this.#videoElement.videoWidth, height: this.options.previewImageMaxSize.height }
-
-
-		// resize video to output size
-		video.width = size.width
-		video.height = size.height
-
-		// create canvas
-		const canvas = createElement('canvas')
-		canvas.width = size.width
-		canvas.height = size.height
-		const ctx = canvas.getContext('2d')
+		size.width = Math.round(size.width)
+		size.height = Math.round(size.height)
 
 		const renderAndApplyPreviewImage = async timecode => {
-			video.currentTime = timecode
-			// Wait for the frame to load
-			// loadeddata seems to only fire once, so polling is used instead
-			await new Promise(r => {
-				setInterval(() => video.readyState >= 2 && r(), 10);
-			})
-	
-			ctx.drawImage(video, 0, 0, size.width, size.height)
-			this.#seekbarPreviewImages.push({ timecode, image: canvas.toDataURL('image/webp', 50) })
-			this.#seekbarPreviewImages.sort((a, b) => a.timecode > b.timecode)
-		}
+			// seeking to the very end doesn't always produce a frame
+			video.currentTime = Math.min(timecode, video.duration - 0.1)
+			await waitForVideoEvent('seeked')
 
+			const blob = await encodeVideoFrame(video, { width: size.width, height: size.height, type: 'image/webp', quality: 0.5 })
+			if (signal.aborted) return
+			const image = URL.createObjectURL(blob)
+			this.#seekbarPreviewImages.push({ timecode, image, width: size.width, height: size.height })
+			this.#seekbarPreviewImages.sort((a, b) => a.timecode - b.timecode)
+			this.#renderSeekBarPreview()
+		}
 
-		await renderAndApplyPreviewImage(this.#videoElement.duration)
-		for (let i = 1; i <= this.options.previewImageIterations; i++) {
-			const firstTimecode = this.#videoElement.duration / Math.pow(2, i)
-			for (let t = firstTimecode; t < this.#videoElement.duration; t += firstTimecode * 2) {
-				await renderAndApplyPreviewImage(t)
+		try {
+			if (video.readyState < 2) await waitForVideoEvent('loadeddata')
+			await renderAndApplyPreviewImage(video.duration)
+			for (let i = 1; i <= this.options.previewImageIterations; i++) {
+				const firstTimecode = video.duration / Math.pow(2, i)
+				for (let t = firstTimecode; t < video.duration; t += firstTimecode * 2) {
+					await renderAndApplyPreviewImage(t)
+				}
 			}
+		} catch (error) {
+			if (signal.aborted) return
+			const message = error.name == 'SecurityError' ? 'Preview images can\'t be generated for cross-origin videos served without CORS' : `Preview images couldn't be generated: ${error.message}`
+			this.#dispatchError('previews', message, { error })
+		} finally {
+			video.removeAttribute('src')
+			video.load()
 		}
 	}
 
@@ -287,45 +4012,205 @@ class StardustPlayer extends HTMLElement {
 		super()
 
 		this.#videoElement = document.createElement('video')
+		this.attachShadow({ mode: 'open' })
+		this.#subtitleStyleElement = createElement('style')
 		this.tabIndex = true
 
-		// this.classList.add('mobile')
+		for (const type of mediaEventTypes) {
+			this.#videoElement.addEventListener(type, () => {
+				// scrubbing pauses the video, but the player is still playing
+				if ((type == 'play' || type == 'pause') && this.#seekBars.some(seekBar => seekBar.seeking)) return
+				if (type == 'error') {
+					const error = this.#videoElement.error
+					const message = mediaErrorMessages[error?.code] ?? 'The video couldn\'t be played'
+					this.#showError(message)
+					this.#dispatchError('video', message, { error })
+					return
+				}
+				this.dispatchEvent(new Event(type))
+			})
+		}
+
+		// Buffering spinner
+		for (const type of [ 'waiting', 'stalled' ]) {
+			this.#videoElement.addEventListener(type, () => {
+				// stalled also fires when there's enough data to keep playing
+				if (type == 'stalled' && this.#videoElement.readyState >= HTMLMediaElement.HAVE_FUTURE_DATA) return
+				this.classList.add('buffering')
+			})
+		}
+		for (const type of [ 'playing', 'canplay', 'canplaythrough', 'emptied', 'error' ]) {
+			this.#videoElement.addEventListener(type, () => this.classList.remove('buffering'))
+		}
+		this.#videoElement.addEventListener('loadstart', () => this.#hideError())
+		// the video resets playbackRate to defaultPlaybackRate when it loads a new src, the player keeps its speed
+		this.#videoElement.addEventListener('loadstart', () => this.#videoElement.playbackRate = this.#playbackRate)
+
+		for (const type of [ 'durationchange', 'emptied' ]) {
+			this.#videoElement.addEventListener(type, () => this.#updateLive())
+		}
+
+		for (const type of [ 'loadstart', 'play', 'playing', 'pause', 'waiting', 'seeking', 'timeupdate', 'ended', 'emptied' ]) {
+			this.#videoElement.addEventListener(type, () => this.#analytics && this.#recordAnalytics(type))
+		}
+
+		// the UI only changes with these, #update sets a timer for the cues in between
+		for (const type of [ 'timeupdate', 'seeking', 'seeked', 'play', 'playing', 'pause', 'ratechange', 'durationchange', 'loadedmetadata', 'emptied' ]) {
+			this.#videoElement.addEventListener(type, () => this.#update())
+		}
+
+		// Keep in sync with changes that didn't come from the player (autoplay, the OS's media controls, etc.)
+		this.#videoElement.addEventListener('play', () => {
+			if (!this.#paused || this.#seekBars.some(seekBar => seekBar.seeking)) return
+			this.#paused = false
+			this.classList.remove('paused')
+			this.#updateHideControls?.()
+			this.#updateControlStates()
+		})
+		this.#videoElement.addEventListener('pause', () => {
+			if (this.#paused || this.#seekBars.some(seekBar => seekBar.seeking)) return
+			this.#paused = true
+			this.classList.add('paused')
+			this.#updateHideControls?.()
+			this.#updateControlStates()
+		})
+		this.#videoElement.addEventListener('volumechange', () => {
+			if (this.#muted == this.#videoElement.muted) return
+			this.#muted = this.#videoElement.muted
+			this.classList.toggle('muted', this.#muted)
+			this.#updateControlStates()
+		})
+		this.#videoElement.addEventListener('enterpictureinpicture', () => this.#pictureInPictureChanged())
+		this.#videoElement.addEventListener('leavepictureinpicture', () => this.#pictureInPictureChanged())
+
+		// Sync, after the listeners above so #paused is up to date
+		for (const type of [ 'play', 'pause', 'seeked', 'ratechange' ]) {
+			this.#videoElement.addEventListener(type, () => this.#sync && this.#syncLocalChange())
+		}
+
+		// Layout, before the controls handle the pointerdown
+		this.addEventListener('pointerdown', e => {
+			if (e.pointerType == this.#lastPointerType) return
+			this.#lastPointerType = e.pointerType
+			this.#updateLayout()
+		}, { capture: true })
 
-		this.options = {
-			doubleClickDuration: 250,
-			doubleTapJumpDuration: 500,
-			doubleTapJumpDistance: 5,
-			doubleTapJumpScreenPortion: 0.2,
-			hideControlsTimeout: 1500,
-			hideControlsTimeoutMobile: 3000,
-			previewImageIterations: 8,
-			previewImageMaxSize: { width: 480, height: 270 },
+		// Audio only, videoWidth says if there's a picture once the metadata has loaded
+		for (const type of [ 'loadstart', 'loadedmetadata', 'emptied' ]) {
+			this.#videoElement.addEventListener(type, () => this.#updateAudioOnly())
 		}
+
+		// Audio, the graph needs to know where the video comes from before it can be made
+		this.#videoElement.addEventListener('loadstart', () => this.#updateAudio())
+		this.#videoElement.addEventListener('play', () => this.#resumeAudio())
+		this.#videoElement.addEventListener('volumechange', () => this.#resumeAudio())
+
+		// Media Session
+		this.#videoElement.addEventListener('play', () => this.#claimMediaSession())
+		for (const type of [ 'pause', 'durationchange', 'ratechange', 'seeked' ]) {
+			this.#videoElement.addEventListener(type, () => this.#updateMediaSessionState())
+		}
+
+		// <track> children can be added at any time
+		new MutationObserver(() => {
+			this.#updateSubtitleTracks()
+			this.#updateChapterTrack()
+			this.#updateThumbnailTrack()
+		}).observe(this, { childList: true })
+
+		// loadeddata fires once for every src
+		this.#videoElement.addEventListener('loadeddata', () => this.#renderSeekBarPreviewImages())
 	}
 
+	// The UI is built the first time the player is connected, after that it's kept and only what disconnectedCallback
+	// stopped is started again
 	connectedCallback() {
-		const gradientBottom = createElement('div', { class: 'gradient-bottom' })
-		const controlsContainer = createElement('div', { class: 'controls-container' })
-		const mobileControlsContainer = createElement('div', { class: 'mobile-controls-container' })
-		this.append(this.#videoElement, gradientBottom, controlsContainer, mobileControlsContainer)
+		if (!this.initialized) this.#createUI()
+		this.#resizeObserver.observe(this)
+		coarsePointerQuery.addEventListener('change', this.#updateLayoutOnQueryChange)
+		this.#updateLayout()
+		if (this.#videoElement.readyState >= 2 && !this.#seekbarPreviewImages.length) this.#renderSeekBarPreviewImages()
+		this.#update()
+		this.#updateAnalytics()
+		this.#updateSync()
+		this.#resumeSource()
+	}
+
+	disconnectedCallback() {
+		this.#resizeObserver.disconnect()
+		coarsePointerQuery.removeEventListener('change', this.#updateLayoutOnQueryChange)
+		clearTimeout(this.#updateTimeout)
+		this.#cancelSeekBarPreviewImages()
+		this.#hideUpNext()
+		this.#sendAnalyticsReport()
+		this.#updateAnalytics()
+		this.#updateSync()
+		// like the video pausing when it's removed, this waits to see if the player was only moved
+		queueMicrotask(() => {
+			if (this.isConnected) return
+			this.#suspendSource()
+			this.#releaseMediaSession()
+		})
+	}
+
+	#resizeObserver
+
+	#createUI() {
+		this.initialized = true
+
+		const stylesheet = createElement('link')
+		stylesheet.rel = 'stylesheet'
+		stylesheet.href = stylesheetURL
+		// display: contents, it's only there so the css can use :has() on the UI
+		const container = createElement('div', { class: 'player' })
+		this.shadowRoot.append(stylesheet, this.#subtitleStyleElement, container)
+
+		this.#videoElement.part = 'video'
+		const gradientBottom = createElement('div', { class: 'gradient-bottom', part: 'gradient' })
+		const controlsContainer = createElement('div', { class: 'controls-container', part: 'controls' })
+		const mobileControlsContainer = createElement('div', { class: 'mobile-controls-container', part: 'mobile-controls' })
+		container.append(this.#videoElement, gradientBottom, controlsContainer, mobileControlsContainer)
+
+		/* ------------------------------- Audio Only ------------------------------- */
+		const audioInfo = createElement('div', { class: 'audio-info', part: 'audio-info' })
+		const audioArtwork = createElement('img', { class: 'audio-artwork', part: 'audio-artwork' })
+		audioArtwork.alt = ''
+		const audioTitle = createElement('div', { class: 'audio-title', part: 'audio-title' })
+		const audioArtist = createElement('div', { class: 'audio-artist', part: 'audio-artist' })
+		audioInfo.append(audioArtwork, createElement('div', { class: 'audio-text', children: [ audioTitle, audioArtist ] }))
+		container.insertBefore(audioInfo, controlsContainer)
+		this.#audioInfo = { artwork: audioArtwork, title: audioTitle, artist: audioArtist }
+		this.#renderAudioInfo()
 
 
 		/* -------------------------------- Seek Bar -------------------------------- */
-		const seekBar = createElement('stardust-seekbar', { class: 'controls' })
+		const seekBar = createElement('stardust-seekbar', { class: 'controls', part: 'seek-bar' })
 		seekBar.videoElement = this.#videoElement
+		seekBar.step = this.options.seekStep
 		controlsContainer.append(seekBar)
 		seekBar.addEventListener('timechange', e => this.#videoElement.currentTime = e.time)
-		seekBar.addEventListener('previewtimechange', e => this.#seekBarPreviewTimecode = e.time)
+		seekBar.addEventListener('previewtimechange', e => {
+			this.#seekBarPreviewTimecode = e.time
+			this.#renderSeekBarPreview()
+		})
 		seekBar.addEventListener('seekingchange', e => {
 			(e.seeking || this.#paused) ? this.#videoElement.pause() : this.#videoElement.play()
 			this.#updateHideControls()
+			this.#recordScrub(e.seeking)
 		})
 
 		/* --------------------------- Video element ended -------------------------- */
 		this.#videoElement.addEventListener('ended', e => {
+			// an A-B loop that ends at the end of the video
+			if (this.#loopRange) {
+				this.#videoElement.currentTime = this.#loopRange.start
+				this.paused = false
+				return
+			}
 			this.#ended = true
 			this.paused = true // the html video element pauses itself when it ends
 			this.#updateHideControls()
+			this.#playlistItemEnded()
 		})
 		this.#videoElement.addEventListener('timeupdate', e => {
 			this.#ended = false
@@ -344,6 +4229,7 @@ class StardustPlayer extends HTMLElement {
 			clearTimeout(hideControlsTimeout)
 			hideControlsTimeout = setTimeout(() => {
 				if (this.paused) return  // don't hide if paused
+				if (this.#audioOnly) return  // they're all there is
 				if (this.#ended) return  // don't hide if ended
 				this.classList.add('controls-hidden')
 				this.classList.add('no-click')
@@ -358,32 +4244,86 @@ class StardustPlayer extends HTMLElement {
 		this.#updateHideControls()
 
 		/* ----------------------------- Lower Controls ----------------------------- */
-		const lowerControlsContainer = createElement('div', { class: 'lower-controls-container' })
-		const lowerControlsContainerLeft = createElement('div')
-		const lowerControlsContainerRight = createElement('div')
+		const lowerControlsContainer = createElement('div', { class: 'lower-controls-container', part: 'lower-controls' })
+		const lowerControlsContainerLeft = createElement('div', { part: 'controls-left' })
+		const lowerControlsContainerRight = createElement('div', { part: 'controls-right' })
 		controlsContainer.append(lowerControlsContainer)
 		lowerControlsContainer.append(lowerControlsContainerLeft, lowerControlsContainerRight)
 		
-		const playPauseButton = createElement('button', { class: 'play-pause-button', children: [ icons.pause(), icons.play() ] })
+		const playPauseButton = createElement('button', { class: 'play-pause-button', part: 'button play-pause-button', children: [ icons.pause(), icons.play() ] })
 		playPauseButton.addEventListener('click', () => this.togglePaused())
 		
-		const muteButton = createElement('button', { class: 'mute-button', children: [ icons.volumeUp(), icons.volumeOff() ] })
+		const muteButton = createElement('button', { class: 'mute-button', part: 'button mute-button', children: [ icons.volumeUp(), icons.volumeOff() ] })
 		muteButton.addEventListener('click', () => this.toggleMute())
 
-		const fullscreenButton = createElement('button', { class: 'fullscreen-button', children: [ icons.fullscreen(), icons.fullscreenExit() ] })
+		const fullscreenButton = createElement('button', { class: 'fullscreen-button', part: 'button fullscreen-button', children: [ icons.fullscreen(), icons.fullscreenExit() ] })
 		fullscreenButton.addEventListener('click', () => this.toggleFullscreen())
 
-		const subtitlesButton = createElement('button', { class: 'subtitles-button', children: [ icons.closedCaptions(), icons.closedCaptionsDisabled() ] })
-		subtitlesButton.addEventListener('click', () => this.toggleSubtitles())
+		const subtitlesButton = createElement('button', { class: 'subtitles-button', part: 'button subtitles-button', children: [ icons.closedCaptions(), icons.closedCaptionsDisabled() ] })
+		const subtitleMenu = createElement('stardust-menu', { class: 'subtitle-menu', part: 'menu' })
+		subtitleMenu.heading = 'Subtitles'
+		subtitleMenu.anchor = subtitlesButton
+		subtitleMenu.addEventListener('select', e => this.#selectSubtitleMenuItem(e.value))
+		controlsContainer.append(subtitleMenu)
+		// With a single track the button just toggles it
+		subtitlesButton.addEventListener('click', () => this.#subtitleTracks.length > 1 ? subtitleMenu.toggle() : this.toggleSubtitles())
 
-		const timeInfoContainer = createElement('div', { class: 'time-info-container' })
+		const timeInfoContainer = createElement('div', { class: 'time-info-container', part: 'time-info' })
 		const timeCurrentSpan = createElement('span')
 		const timeSeparatorSpan = createElement('span', { text: '/', class: 'separator' })
-		const timeDurationSpan = createElement('span')
-		timeInfoContainer.append(timeCurrentSpan, timeSeparatorSpan, timeDurationSpan)
+		const timeDurationSpan = createElement('span', { class: 'duration' })
+		const chapterTitleSpan = createElement('span', { class: 'chapter-title' })
+		// Shown instead of the duration in live mode, clicking it goes back to live
+		const liveButton = createElement('button', { class: 'live-button', part: 'button live-button', text: 'Live' })
+		liveButton.addEventListener('click', () => this.goLive())
+		timeInfoContainer.append(timeCurrentSpan, timeSeparatorSpan, timeDurationSpan, liveButton, chapterTitleSpan)
+
+		const previousButton = createElement('button', { class: 'previous-button', part: 'button previous-button', children: [ icons.skipPrevious() ] })
+		previousButton.addEventListener('click', () => this.previous())
+
+		const nextButton = createElement('button', { class: 'next-button', part: 'button next-button', children: [ icons.skipNext() ] })
+		nextButton.addEventListener('click', () => this.next())
+
+		// <button slot="controls-left"> children end up here
+		const controlsLeftSlot = createElement('slot')
+		controlsLeftSlot.name = 'controls-left'
 
-		lowerControlsContainerLeft.append(playPauseButton, muteButton, timeInfoContainer)
-		lowerControlsContainerRight.append(subtitlesButton, fullscreenButton)
+		const syncIndicator = createElement('div', { class: 'sync-indicator', part: 'sync-indicator' })
+
+		lowerControlsContainerLeft.append(previousButton, playPauseButton, nextButton, muteButton, timeInfoContainer, syncIndicator, controlsLeftSlot)
+		const playbackRateButton = createElement('button', { class: 'playback-rate-button', part: 'button playback-rate-button', children: [ icons.speed() ] })
+		const playbackRateMenu = createElement('stardust-menu', { class: 'playback-rate-menu', part: 'menu' })
+		playbackRateMenu.heading = 'Speed'
+		playbackRateMenu.anchor = playbackRateButton
+		playbackRateMenu.addEventListener('select', e => this.#setPlaybackRateFromControls(e.value))
+		controlsContainer.append(playbackRateMenu)
+		playbackRateButton.addEventListener('click', () => playbackRateMenu.toggle())
+
+		const qualityButton = createElement('button', { class: 'quality-button', part: 'button quality-button', children: [ icons.settings() ] })
+		const qualityMenu = createElement('stardust-menu', { class: 'quality-menu', part: 'menu' })
+		qualityMenu.heading = 'Quality'
+		qualityMenu.anchor = qualityButton
+		qualityMenu.addEventListener('select', e => this.quality = e.value)
+		controlsContainer.append(qualityMenu)
+		qualityButton.addEventListener('click', () => qualityMenu.toggle())
+
+		const audioButton = createElement('button', { class: 'audio-button', part: 'button audio-button', children: [ icons.equalizer() ] })
+		const audioMenu = createElement('stardust-menu', { class: 'audio-menu', part: 'menu' })
+		audioMenu.heading = 'Audio'
+		audioMenu.anchor = audioButton
+		controlsContainer.append(audioMenu)
+		audioButton.addEventListener('click', () => audioMenu.toggle())
+
+		const pictureInPictureButton = createElement('button', { class: 'picture-in-picture-button', part: 'button picture-in-picture-button', children: [ icons.pictureInPicture() ] })
+		pictureInPictureButton.addEventListener('click', () => this.togglePictureInPicture())
+
+		const screenshotButton = createElement('button', { class: 'screenshot-button', part: 'button screenshot-button', children: [ icons.screenshot() ] })
+		screenshotButton.addEventListener('click', () => this.#saveFrame())
+
+		const controlsRightSlot = createElement('slot')
+		controlsRightSlot.name = 'controls-right'
+
+		lowerControlsContainerRight.append(controlsRightSlot, playbackRateButton, audioButton, qualityButton, subtitlesButton, screenshotButton, pictureInPictureButton, fullscreenButton)
 
 		/* ----------------------------- Mobile Controls ---------------------------- */
 		const mobileLowerControls = createElement('div', { class: 'lower-controls' })
@@ -393,35 +4333,138 @@ class StardustPlayer extends HTMLElement {
 		mobileControlsContainer.append(mobileLowerControls, mobileUpperControls)
 		mobileLowerControls.append(mobileAboveSeekbarControls)
 
-		const mobilePlayPauseButton = createElement('button', { class: 'play-pause-button', children: [ icons.pause(), icons.play() ] })
+		const mobilePlayPauseButton = createElement('button', { class: 'play-pause-button', part: 'button play-pause-button', children: [ icons.pause(), icons.play() ] })
 		mobilePlayPauseButton.addEventListener('click', () => this.togglePaused())
-		mobileControlsContainer.append(mobilePlayPauseButton)
+		const mobilePreviousButton = createElement('button', { class: 'previous-button', part: 'button previous-button', children: [ icons.skipPrevious() ] })
+		mobilePreviousButton.addEventListener('click', () => this.previous())
+		const mobileNextButton = createElement('button', { class: 'next-button', part: 'button next-button', children: [ icons.skipNext() ] })
+		mobileNextButton.addEventListener('click', () => this.next())
+		mobileControlsContainer.append(mobilePreviousButton, mobilePlayPauseButton, mobileNextButton)
 
-		const mobileTimeInfoContainer = createElement('div', { class: 'time-info-container' })
+		const mobileTimeInfoContainer = createElement('div', { class: 'time-info-container', part: 'time-info' })
 		const mobileTimeCurrentSpan = createElement('span')
 		const mobileTimeSeparatorSpan = createElement('span', { text: '/', class: 'separator' })
-		const mobileTimeDurationSpan = createElement('span')
-		mobileTimeInfoContainer.append(mobileTimeCurrentSpan, mobileTimeSeparatorSpan, mobileTimeDurationSpan)
+		const mobileTimeDurationSpan = createElement('span', { class: 'duration' })
+		const mobileChapterTitleSpan = createElement('span', { class: 'chapter-title' })
+		const mobileLiveButton = createElement('button', { class: 'live-button', part: 'button live-button', text: 'Live' })
+		mobileLiveButton.addEventListener('click', () => this.goLive())
+		mobileTimeInfoContainer.append(mobileTimeCurrentSpan, mobileTimeSeparatorSpan, mobileTimeDurationSpan, mobileLiveButton, mobileChapterTitleSpan)
 
-		const mobileFullscreen = createElement('button', { class: 'fullscreen-button', children: [ icons.fullscreen(), icons.fullscreenExit() ] })
+		const mobileFullscreen = createElement('button', { class: 'fullscreen-button', part: 'button fullscreen-button', children: [ icons.fullscreen(), icons.fullscreenExit() ] })
 		mobileFullscreen.addEventListener('click', () => this.toggleFullscreen())
 
-		mobileAboveSeekbarControls.append(mobileTimeInfoContainer, mobileFullscreen)
+		const mobileSyncIndicator = createElement('div', { class: 'sync-indicator', part: 'sync-indicator' })
+
+		mobileAboveSeekbarControls.append(mobileTimeInfoContainer, mobileSyncIndicator, mobileFullscreen)
 
-		const mobileSeekBar = createElement('stardust-seekbar')
+		const mobileSeekBar = createElement('stardust-seekbar', { part: 'seek-bar' })
 		mobileSeekBar.videoElement = this.#videoElement
+		mobileSeekBar.step = this.options.seekStep
 		mobileLowerControls.append(mobileSeekBar)
 		mobileSeekBar.addEventListener('timechange', e => this.#videoElement.currentTime = e.time)
-		mobileSeekBar.addEventListener('previewtimechange', e => this.#seekBarPreviewTimecode = e.time)
+		mobileSeekBar.addEventListener('previewtimechange', e => {
+			this.#seekBarPreviewTimecode = e.time
+			this.#renderSeekBarPreview()
+		})
 		mobileSeekBar.addEventListener('seekingchange', e => {
 			(e.seeking || this.#paused) ? this.#videoElement.pause() : this.#videoElement.play()
 			this.#updateHideControls()
+			this.#recordScrub(e.seeking)
 		})
 
 
-		const mobileSubtitlesButton = createElement('button', { class: 'subtitles-button', children: [ icons.closedCaptions(), icons.closedCaptionsDisabled() ] })
-		mobileSubtitlesButton.addEventListener('click', () => this.toggleSubtitles())
-		mobileUpperControls.append(mobileSubtitlesButton)
+		const mobileSubtitlesButton = createElement('button', { class: 'subtitles-button', part: 'button subtitles-button', children: [ icons.closedCaptions(), icons.closedCaptionsDisabled() ] })
+		const mobileSubtitleMenu = createElement('stardust-menu', { class: 'subtitle-menu', part: 'menu' })
+		mobileSubtitleMenu.heading = 'Subtitles'
+		mobileSubtitleMenu.anchor = mobileSubtitlesButton
+		mobileSubtitleMenu.addEventListener('select', e => this.#selectSubtitleMenuItem(e.value))
+		mobileControlsContainer.append(mobileSubtitleMenu)
+		mobileSubtitlesButton.addEventListener('click', () => this.#subtitleTracks.length > 1 ? mobileSubtitleMenu.toggle() : this.toggleSubtitles())
+
+		const mobilePlaybackRateButton = createElement('button', { class: 'playback-rate-button', part: 'button playback-rate-button', children: [ icons.speed() ] })
+		const mobilePlaybackRateMenu = createElement('stardust-menu', { class: 'playback-rate-menu', part: 'menu' })
+		mobilePlaybackRateMenu.heading = 'Speed'
+		mobilePlaybackRateMenu.anchor = mobilePlaybackRateButton
+		mobilePlaybackRateMenu.addEventListener('select', e => this.#setPlaybackRateFromControls(e.value))
+		mobileControlsContainer.append(mobilePlaybackRateMenu)
+		mobilePlaybackRateButton.addEventListener('click', () => mobilePlaybackRateMenu.toggle())
+
+		const mobileQualityButton = createElement('button', { class: 'quality-button', part: 'button quality-button', children: [ icons.settings() ] })
+		const mobileQualityMenu = createElement('stardust-menu', { class: 'quality-menu', part: 'menu' })
+		mobileQualityMenu.heading = 'Quality'
+		mobileQualityMenu.anchor = mobileQualityButton
+		mobileQualityMenu.addEventListener('select', e => this.quality = e.value)
+		mobileControlsContainer.append(mobileQualityMenu)
+		mobileQualityButton.addEventListener('click', () => mobileQualityMenu.toggle())
+
+		const mobileAudioButton = createElement('button', { class: 'audio-button', part: 'button audio-button', children: [ icons.equalizer() ] })
+		const mobileAudioMenu = createElement('stardust-menu', { class: 'audio-menu', part: 'menu' })
+		mobileAudioMenu.heading = 'Audio'
+		mobileAudioMenu.anchor = mobileAudioButton
+		mobileControlsContainer.append(mobileAudioMenu)
+		mobileAudioButton.addEventListener('click', () => mobileAudioMenu.toggle())
+
+		const mobilePictureInPictureButton = createElement('button', { class: 'picture-in-picture-button', part: 'button picture-in-picture-button', children: [ icons.pictureInPicture() ] })
+		mobilePictureInPictureButton.addEventListener('click', () => this.togglePictureInPicture())
+
+		mobileUpperControls.append(mobilePlaybackRateButton, mobileAudioButton, mobileQualityButton, mobileSubtitlesButton, mobilePictureInPictureButton)
+
+		this.#subtitleMenus = [ subtitleMenu, mobileSubtitleMenu ]
+		this.#updateSubtitleTracks()
+		this.#renderSubtitleMenus()
+		this.#playbackRateMenus = [ playbackRateMenu, mobilePlaybackRateMenu ]
+		this.#qualityMenus = [ qualityMenu, mobileQualityMenu ]
+		this.#renderQualityMenus()
+		this.#seekBars = [ seekBar, mobileSeekBar ]
+		this.#setPeaks(this.#peaks)
+		this.#updateChapters()
+		for (const seekBar of this.#seekBars) {
+			seekBar.live = this.#live
+			seekBar.loopRange = this.#loopRange
+			seekBar.addEventListener('looprangechange', e => this.setLoop(e.loopRange.start, e.loopRange.end))
+			seekBar.addEventListener('contextmenu', e => this.#openContextMenu(e, this.#seekBarPreviewTimecode))
+		}
+		this.#updateChapterTrack()
+		this.#updateThumbnailTrack()
+		this.#restorePlaybackRate()
+		this.#renderPlaybackRateMenus()
+		this.#audioMenus = [ audioMenu, mobileAudioMenu ]
+		this.#restoreAudioSettings()
+		this.#renderAudioMenus()
+		this.#syncIndicators = [ syncIndicator, mobileSyncIndicator ]
+		this.#renderSyncIndicators()
+		this.classList.toggle('has-picture-in-picture', Boolean(document.pictureInPictureEnabled))
+
+		/* ------------------------------ Context Menu ------------------------------ */
+		this.#contextMenu = createElement('stardust-menu', { class: 'context-menu', part: 'menu' })
+		this.#contextMenu.addEventListener('select', e => e.value())
+		container.append(this.#contextMenu)
+		this.#videoElement.addEventListener('contextmenu', e => this.#openContextMenu(e, this.#videoElement.currentTime))
+
+		this.#seekToLinkStartTime()
+
+		/* ------------------------------ Accessibility ----------------------------- */
+		if (!this.hasAttribute('role')) this.setAttribute('role', 'region')
+		if (!this.hasAttribute('aria-label')) this.setAttribute('aria-label', 'Video player')
+		// the icons don't say what the buttons do, the play/pause button's label is set by #updateControlStates
+		const buttonLabels = {
+			'previous-button': 'Previous video',
+			'next-button': 'Next video',
+			'mute-button': 'Mute',
+			'playback-rate-button': 'Playback speed',
+			'audio-button': 'Audio settings',
+			'quality-button': 'Quality',
+			'subtitles-button': 'Subtitles',
+			'screenshot-button': 'Save a screenshot',
+			'picture-in-picture-button': 'Picture-in-picture',
+			'fullscreen-button': 'Fullscreen',
+			'live-button': 'Go to live',
+		}
+		for (const [ className, label ] of Object.entries(buttonLabels)) {
+			for (const button of container.querySelectorAll(`.${className}`)) button.setAttribute('aria-label', label)
+		}
+		for (const button of container.querySelectorAll('.playback-rate-button, .audio-button, .quality-button')) button.setAttribute('aria-haspopup', 'menu')
+		this.#updateControlStates()
 
 		/* ---------------------------------- Misc ---------------------------------- */
 		// css didn't work for some reason
@@ -430,12 +4473,15 @@ class StardustPlayer extends HTMLElement {
 			this.#videoElement.style.height = `${this.getBoundingClientRect().height}px`
 		}
 		
-		new ResizeObserver(e => {
+		// connectedCallback starts observing
+		this.#resizeObserver = new ResizeObserver(e => {
 			setVideoSize()
-		}).observe(this)
+			this.#updateLayout()
+		})
 
 		setVideoSize()
 
+		if (this.autoplay) this.#paused = false
 		this.#updatePaused()
 		
 		/* ------------------------------ Player click ------------------------------ */
@@ -502,97 +4548,148 @@ class StardustPlayer extends HTMLElement {
 		/* -------------------------------- Keyboard -------------------------------- */
 		this.addEventListener('keydown', e => {
 			this.#updateHideControls()
-			switch (e.key) {
-				case ' ':
-					if (document.activeElement.tagName == 'BUTTON') return  // if a button is focused space clicks it
-					this.togglePaused()
-					break;
-				case 'k':
-					this.togglePaused()
-					break;
-				case 'm':
-					this.toggleMute()
-					break;
-				case 'f':
-					this.toggleFullscreen()
-					break;
-				case 'c':
-					this.toggleSubtitles()
-					break;
-				case 'Escape':
-					this.fullscreen = false
-					break;
-				case 'ArrowLeft':
-					this.#videoElement.currentTime -= 5
-					break;
-				case 'ArrowRight':
-					this.#videoElement.currentTime += 5
-					break;
-				case 'j':
-					this.#videoElement.currentTime -= 10
-					break;
-				case 'l':
-					this.#videoElement.currentTime += 10
-					break;
-				
-				default:
-					break;
+			const target = e.composedPath()[0]
+			// e.g. the custom speed input, or inputs slotted in by the page
+			if (target.matches?.('input, textarea, select, [contenteditable]')) return
+			if (e.key == ' ' && target.tagName == 'BUTTON') return  // if a button is focused space clicks it
+			if (e.key == 'Escape' && this.#shortcuts.element.classList.contains('visible')) {
+				this.#toggleShortcuts()
+				return
 			}
+			const action = this.#getKeyboardActions()[this.options.keymap[getKeyName(e)]]
+			if (!action) return
+			e.preventDefault()  // arrows and space would scroll the page
+			action.run(e)
 		})
 
+		/* --------------------------------- Up Next -------------------------------- */
+		const upNext = createElement('div', { class: 'up-next', part: 'up-next' })
+		const upNextLabel = createElement('div', { class: 'up-next-label', text: 'Up next' })
+		const upNextTitle = createElement('div', { class: 'up-next-title' })
+		const upNextCountdown = createElement('div', { class: 'up-next-countdown' })
+		const upNextPlayNowButton = createElement('button', { class: 'up-next-play-now', part: 'up-next-button', text: 'Play now' })
+		const upNextCancelButton = createElement('button', { class: 'up-next-cancel', part: 'up-next-button', text: 'Cancel' })
+		upNextCancelButton.addEventListener('click', () => this.#hideUpNext())
+		upNext.append(upNextLabel, upNextTitle, upNextCountdown, createElement('div', { class: 'up-next-buttons', children: [ upNextCancelButton, upNextPlayNowButton ] }))
+		container.append(upNext)
+		this.#upNext = { element: upNext, title: upNextTitle, countdown: upNextCountdown, playNowButton: upNextPlayNowButton }
+
+		// the viewer doing something else cancels it
+		this.#videoElement.addEventListener('play', () => this.#hideUpNext())
+		this.#videoElement.addEventListener('seeking', () => this.#hideUpNext())
+
 		/* -------------------------------- Subtitles ------------------------------- */
-		const subtitleContainer = createElement('div', { class: 'subtitle-container' })
-		this.append(subtitleContainer)
-
-		const animationLoop = () => {
-			// Seek bar
-			seekBar.updateBar(this.#videoElement.currentTime)
-			mobileSeekBar.updateBar(this.#videoElement.currentTime)
-			// Seek bar popover
-			for (const frame of this.#seekbarPreviewImages) {
-				if (frame.timecode >= this.#seekBarPreviewTimecode) {
-					seekBar.previewImageSrc = frame.image
-					mobileSeekBar.previewImageSrc = frame.image
-					break
-				}
-			}
+		const subtitleContainer = createElement('div', { class: 'subtitle-container', part: 'subtitles' })
+		// WebVTT cues with line/position settings are placed relative to the whole player
+		const positionedSubtitleContainer = createElement('div', { class: 'positioned-subtitle-container', part: 'subtitles' })
+		container.append(subtitleContainer, positionedSubtitleContainer)
 
-			// Time info
-			timeCurrentSpan.textContent = formatTime(this.#videoElement.currentTime)
-			timeDurationSpan.textContent = formatTime(this.#videoElement.duration)
-			mobileTimeCurrentSpan.textContent = formatTime(this.#videoElement.currentTime)
-			mobileTimeDurationSpan.textContent = formatTime(this.#videoElement.duration)
-
-			// Subtitles
-			let newSubtitles = ''
-			if (this.#subtitles) {
-				for (const subtitle of this.#subtitleObjects) {
-					if (this.#videoElement.currentTime >= subtitle.start && this.#videoElement.currentTime < subtitle.end) {
-						newSubtitles = DOMPurify.sanitize(marked.parse(subtitle.text))
-						break
-					}
-				}
-			}
-			if (subtitleContainer.innerHTML != newSubtitles) subtitleContainer.innerHTML = newSubtitles
-			requestAnimationFrame(animationLoop)
-		}
+		this.#indicatorElement = createElement('div', { class: 'indicator', part: 'indicator' })
+		container.append(this.#indicatorElement)
+
+		// Shortcuts overlay, clicking anywhere closes it
+		const shortcuts = createElement('div', { class: 'shortcuts', part: 'shortcuts' })
+		const shortcutsList = createElement('div', { class: 'shortcuts-list' })
+		shortcuts.append(createElement('div', { class: 'shortcuts-heading', text: 'Keyboard shortcuts' }), shortcutsList)
+		shortcuts.addEventListener('click', () => this.#toggleShortcuts())
+		shortcuts.tabIndex = -1
+		shortcuts.setAttribute('role', 'dialog')
+		shortcuts.setAttribute('aria-label', 'Keyboard shortcuts')
+		container.append(shortcuts)
+		this.#shortcuts = { element: shortcuts, list: shortcutsList }
+
+		const spinner = createElement('div', { class: 'spinner', part: 'spinner' })
+		const errorOverlay = createElement('div', { class: 'error-overlay', part: 'error' })
+		const errorMessage = createElement('div', { class: 'error-message' })
+		const retryButton = createElement('button', { class: 'retry-button', part: 'retry-button', text: 'Retry' })
+		retryButton.addEventListener('click', () => this.#retry())
+		errorOverlay.append(errorMessage, retryButton)
+		container.append(spinner, errorOverlay)
+		this.#errorOverlay = { element: errorOverlay, message: errorMessage }
+
+		// Read out by screen readers, for changes like play/pause that are otherwise only shown by an icon
+		this.#liveRegion = createElement('div', { class: 'live-region' })
+		this.#liveRegion.setAttribute('aria-live', 'polite')
+		container.append(this.#liveRegion)
 
-		requestAnimationFrame(animationLoop)
+		this.#ui = {
+			currentTimeElements: [ timeCurrentSpan, mobileTimeCurrentSpan ],
+			durationElements: [ timeDurationSpan, mobileTimeDurationSpan ],
+			chapterTitleElements: [ chapterTitleSpan, mobileChapterTitleSpan ],
+			subtitleContainer,
+			positionedSubtitleContainer,
+		}
 	}
 
 	attributeChangedCallback(name, oldValue, newValue) {
 		switch (name) {
 			case 'src':
-				this.#videoElement.src = newValue
-				const videoElementLoadedListener = this.#videoElement.addEventListener('loadeddata', () => {
-					this.#renderSeekBarPreviewImages()
-				})
-				this.#videoElement.removeEventListener('loadeddata', videoElementLoadedListener)
+				this.#cancelSeekBarPreviewImages()
+				this.#loadSource(newValue)
 				break
 			case 'sub':
-				fetch(newValue).then(i => i.text().then(i => this.#subtitleObjects = parseSRT(i)) )
+				this.#updateSubtitleTracks()
+				break
+			case 'playbackrate':
+				this.playbackRate = parseFloat(newValue) || 1
+				break
+			case 'chapters':
+				this.#updateChapterTrack()
+				break
+			case 'thumbnails':
+				this.#updateThumbnailTrack()
+				break
+			case 'autoplay':
+				this.#videoElement.autoplay = newValue != null
+				break
+			case 'loop':
+				this.#videoElement.loop = newValue != null
+				break
+			case 'poster':
+				if (this.#playlistIndex < 0 || !this.#playlist[this.#playlistIndex].poster) this.#videoElement.poster = newValue ?? ''
+				this.#updateMediaSession()
+				break
+			case 'muted':
+				this.#videoElement.defaultMuted = newValue != null
+				this.muted = newValue != null
+				break
+			case 'preload':
+				newValue == null ? this.#videoElement.removeAttribute('preload') : this.#videoElement.preload = newValue
+				break
+			case 'crossorigin':
+				this.#videoElement.crossOrigin = newValue
+				break
+			case 'playsinline':
+				this.#videoElement.playsInline = newValue != null
+				break
+			case 'mediatitle':
+			case 'mediaartist':
+			case 'mediaartwork':
+				this.#updateMediaSession()
+				break
+			case 'live':
+				this.#updateLive()
+				break
+			case 'analytics':
+				this.#updateAnalytics()
+				break
+			case 'sync':
+				this.#updateSync()
+				break
+			case 'audioonly':
+				this.#updateAudioOnly()
+				break
+			case 'layout':
+				this.#updateLayout()
+				break
+			case 'options':
+				this.#updateOptions()
+				break
+			case 'waveform':
+				this.#updateWaveform()
 				break
 			default:
+				if (name.startsWith('data-')) this.#updateOptions()
 				break
 		}
 	}
@@ -600,4 +4697,6 @@ class StardustPlayer extends HTMLElement {
 }
 
 customElements.define('stardust-seekbar', StardustSeekBar)
+customElements.define('stardust-menu', StardustMenu)
+customElements.define('stardust-transcript', StardustTranscript)
 customElements.define('stardust-player', StardustPlayer)